@@ -6,6 +6,7 @@ import {
   hexToRgbArray,
   getIntercectionPoint,
   colorNameToHex,
+  lerpAngle,
 } from "./utils.js";
 
 class BodyBase {
@@ -27,6 +28,7 @@ class BodyBase {
    * @param {string} [style.eyesColor="black"] - Color of the eyes.
    * @param {number} [scale=1] - Scale of the body.
    * @param {boolean} [displayQuads=true] - Whether to display body segments as quads.
+   * @param {() => number} [random=Math.random] - The source of random numbers used for random colors.
    */
   constructor(
     radiusesArray,
@@ -45,10 +47,12 @@ class BodyBase {
       eyesColor: "black",
     },
     scale = 1,
-    displayQuads = true
+    displayQuads = true,
+    random = Math.random
   ) {
+    this.random = random;
     if (style.fill === "random") {
-      style.fillHSV = [Math.random(), 0.6, 0.9];
+      style.fillHSV = [this.random(), 0.6, 0.9];
       const color = hsvToRgb(...style.fillHSV).map((num) => Math.floor(num));
       style.fill = rgbToHex(color);
     } else {
@@ -82,10 +86,17 @@ class BodyBase {
     this._scale = Math.abs(scale);
     this.displayQuads = displayQuads;
 
-    //init render staff with webGL
-    this.graphicContainer = new PIXI.Container();
+    //render staff with webGL is created on initPixiGrafics(), so the body itself runs without PIXI
+    this.graphicContainer = null;
     this.graficElements = {};
     this.bodyPoints = [];
+
+    // swimming sway of the head, propagated along the chain; off until `swayAmplitude` is set
+    this.swayAmplitude = 0;
+    this.swayFrequency = 0.25;
+    this.swayPhase = this.random() * Math.PI * 2;
+    this.appliedSway = 0;
+    this.animationIntensity = 1;
   }
 
   /**
@@ -128,7 +139,12 @@ class BodyBase {
     const link1 = this.chainLinks[0];
     const link2 = this.chainLinks[1];
 
-    const currentAngle = Vector2D.sub(link2.pos, pos).angle;
+    // the sway of the last update is taken out first, so it does not accumulate
+    const sway =
+      Math.sin(this.swayPhase) * this.swayAmplitude * this.animationIntensity;
+    const currentAngle =
+      Vector2D.sub(link2.pos, pos).angle - this.appliedSway + sway;
+    this.appliedSway = sway;
 
     link1.pos = pos;
 
@@ -152,6 +168,117 @@ class BodyBase {
     this.totalCurvature = this.getTotalCurvature();
   }
 
+  /**
+   * Advances the swimming sway. Faster animals sway faster and wider.
+   * @param {number} deltaTime - The time elapsed since the last update.
+   * @param {number} [intensity=1] - The animation intensity, usually the speed relative to the cruise speed. Clamped from `0` to `2`.
+   */
+  animate(deltaTime, intensity = 1) {
+    this.animationIntensity = Math.min(Math.max(intensity, 0), 2);
+    this.swayPhase += deltaTime * this.swayFrequency * this.animationIntensity;
+  }
+
+  /**
+   * Converts the pose of the body to plain data, e.g. for a snapshot. The shape is described by a {@link Genome}.
+   * @returns {{ links: Array<{ x: number, y: number, angle: number }>, style: Object, swayPhase: number, appliedSway: number }} The state.
+   */
+  toJSON() {
+    return {
+      links: this.chainLinks.map((link) => ({
+        x: link.pos.x,
+        y: link.pos.y,
+        angle: link.directionAngle,
+      })),
+      style: JSON.parse(JSON.stringify(this.style)),
+      swayPhase: this.swayPhase,
+      appliedSway: this.appliedSway,
+    };
+  }
+
+  /**
+   * Restores the pose saved by {@link BodyBase#toJSON}. Should be called before the graphics of the animal are created.
+   * Links missing in the state, e.g. of another resolution, are left as they are.
+   * @param {Object} state - The state.
+   */
+  restoreState(state) {
+    state.links.forEach((saved, index) => {
+      const link = this.chainLinks[index];
+      if (!link) return;
+      link.pos = new Vector2D(saved.x, saved.y);
+      link.directionAngle = saved.angle;
+    });
+    this.style = JSON.parse(JSON.stringify(state.style));
+    this.swayPhase = state.swayPhase;
+    this.appliedSway = state.appliedSway;
+    this.totalCurvature = this.getTotalCurvature();
+    this.previousState = undefined;
+  }
+
+  /**
+   * Moves the whole body without changing its shape, e.g. when the animal wraps around the edges.
+   * The previous state is moved too, so interpolation continues smoothly on the other side.
+   * @param {Vector2D} offset - The translation.
+   */
+  translate(offset) {
+    this.chainLinks.forEach(
+      (link) => (link.pos = Vector2D.add(link.pos, offset))
+    );
+    if (this.previousState) {
+      this.previousState.forEach((state) => state.pos.add(offset));
+    }
+  }
+
+  /**
+   * Stores the current state of the body segments as the previous state for interpolation.
+   * Should be called before each fixed simulation step.
+   */
+  savePreviousState() {
+    this.previousState = this.chainLinks.map((link) => ({
+      pos: Vector2D.fromVec2D(link.pos),
+      directionAngle: link.directionAngle,
+    }));
+  }
+
+  /**
+   * Temporarily moves the body segments between the previous and the current state, so rendering is smooth between fixed steps.
+   * Segments that moved more than a few spacings in one step are treated as teleported and are not interpolated.
+   * Must be followed by {@link BodyBase#endInterpolation} after rendering.
+   * @param {number} alpha - The interpolation factor between the previous (`0`) and the current (`1`) state.
+   */
+  beginInterpolation(alpha) {
+    this.currentState = this.chainLinks.map((link) => ({
+      pos: link.pos,
+      directionAngle: link.directionAngle,
+    }));
+    if (!this.previousState) return;
+
+    const maxDistance = this.spacing * this.scale * 2;
+    this.chainLinks.forEach((link, index) => {
+      const previous = this.previousState[index];
+      if (!previous || previous.pos.distance(link.pos) > maxDistance) return;
+
+      link.pos = Vector2D.lerp(previous.pos, link.pos, alpha);
+      link.directionAngle = lerpAngle(
+        previous.directionAngle,
+        link.directionAngle,
+        alpha
+      );
+    });
+  }
+
+  /**
+   * Restores the state of the body segments changed by {@link BodyBase#beginInterpolation}.
+   */
+  endInterpolation() {
+    if (!this.currentState) return;
+
+    this.chainLinks.forEach((link, index) => {
+      link.pos = this.currentState[index].pos;
+      link.directionAngle = this.currentState[index].directionAngle;
+    });
+    this.currentState = undefined;
+  }
+
   /**
    * Displays the outline of each body segment on the canvas.
    * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
@@ -399,6 +526,11 @@ class BodyBase {
    * Initializes the Pixi.js graphics for the body and eyes.
    */
   initPixiGrafics() {
+    this.graphicContainer = new PIXI.Container();
+    this.graficElements = {};
+    // parts drawn once are rescaled when the animal grows, see `updatePixiEyes`
+    this.pixiScale = this.scale;
+
     const sidePoints = this.chainLinks.map((link) =>
       link.getSidePoints(this.scale)
     );
@@ -535,6 +667,7 @@ class BodyBase {
     const link = this.chainLinks[0];
     this.graficElements.eyes.position.set(link.pos.x, link.pos.y);
     this.graficElements.eyes.rotation = link.directionAngle;
+    this.graficElements.eyes.scale.set(this.scale / this.pixiScale);
   }
 
   /**
@@ -542,7 +675,7 @@ class BodyBase {
    */
   setStyle(style) {
     if (style.fill === "random") {
-      style.fillHSV = [Math.random(), 0.6, 0.9];
+      style.fillHSV = [this.random(), 0.6, 0.9];
       const color = hsvToRgb(...style.fillHSV).map((num) => Math.floor(num));
       style.fill = rgbToHex(color);
     } else {
@@ -584,6 +717,7 @@ class BodyBase {
         baseTexture: true,
       });
       this.graphicContainer = null;
+      this.graficElements = {};
     }
   }
 }
@@ -691,6 +825,7 @@ class Fish extends BodyBase {
    * @param {string} [style.eyesColor="black"] - The color of the eyes.
    * @param {number} [scale=1] - The scale of the fish.
    * @param {boolean} [isLowRes=true] - Whether to use low resolution for the fish.
+   * @param {() => number} [random=Math.random] - The source of random numbers used for random colors.
    */
   constructor(
     basisPosition = Vector2D.Zero,
@@ -701,7 +836,8 @@ class Fish extends BodyBase {
       eyesColor: "black",
     },
     scale = 1,
-    isLowRes = true
+    isLowRes = true,
+    random = Math.random
   ) {
     const radiusArray = isLowRes
       ? [14, 16.25, 17, 16.25, 14, 10, 7.5, 5.5]
@@ -722,7 +858,8 @@ class Fish extends BodyBase {
       11,
       style,
       scale,
-      false
+      false,
+      random
     );
     if (!this.style.finFill) {
       if (this.style.fillHSV) {
@@ -1011,6 +1148,7 @@ class Fish extends BodyBase {
       const container = this.graficElements.sideFins[index];
       container.position.set(link.pos.x, link.pos.y);
       container.rotation = link2.directionAngle;
+      container.scale.set(this.scale / this.pixiScale);
     });
 
     const points = this.getTailPoints();
@@ -1110,6 +1248,7 @@ class Snake extends BodyBase {
    * @param {string} [style.fill="random"] - The fill color of the body. Allowed values: color name, hex code, or "random".
    * @param {string} [style.eyesColor="black"] - The color of the eyes.
    * @param {number} [scale=1] - The scale of the snake.
+   * @param {() => number} [random=Math.random] - The source of random numbers used for random colors.
    */
   constructor(
     basisPosition = Vector2D.Zero,
@@ -1119,7 +1258,8 @@ class Snake extends BodyBase {
       fill: "random",
       eyesColor: "black",
     },
-    scale = 1
+    scale = 1,
+    random = Math.random
   ) {
     const radArray = [
       14, 18, 19.5, 17, 15.0, 14.76, 14.52, 14.28, 14.04, 13.8, 13.56, 13.32,
@@ -1142,8 +1282,9 @@ class Snake extends BodyBase {
       style,
       scale,
       true,
-      true
+      random
     );
+    this.swayFrequency = 0.15;
     this.update(basisPosition);
   }
 }
@@ -1322,6 +1463,7 @@ class Lizard extends BodyBase {
    * @param {string} [style.eyesColor="black"] - The color of the lizard's eyes.
    * @param {number} [scale=1] - The scale factor for the lizard's size.
    * @param {boolean} [isLowRes=true] - Indicates if a low-resolution model should be used.
+   * @param {() => number} [random=Math.random] - The source of random numbers used for random colors.
    */
   constructor(
     basisPosition = Vector2D.Zero,
@@ -1332,7 +1474,8 @@ class Lizard extends BodyBase {
       eyesColor: "black",
     },
     scale,
-    isLowRes = true
+    isLowRes = true,
+    random = Math.random
   ) {
     const radiusArray = isLowRes
       ? [6.5, 13, 9, 15.75, 16.5, 16, 14.5, 11, 6, 3.5, 2.25, 2, 2]
@@ -1356,7 +1499,8 @@ class Lizard extends BodyBase {
       13,
       style,
       scale,
-      false
+      false,
+      random
     );
 
     super.update(basisPosition);
@@ -1394,6 +1538,104 @@ class Lizard extends BodyBase {
     this.legs.forEach((leg) => leg.update());
   }
 
+  set scale(scale) {
+    super.scale = scale;
+    if (this.legs) this.legs.forEach((leg) => (leg.scale = scale));
+  }
+
+  get scale() {
+    return super.scale;
+  }
+
+  /**
+   * Converts the pose of the body and the legs to plain data.
+   * @returns {Object} The state, see {@link BodyBase#toJSON}.
+   */
+  toJSON() {
+    const state = super.toJSON();
+    state.legs = this.legs.map((leg) => ({
+      joints: leg.joints.map((joint) => ({ x: joint.x, y: joint.y })),
+      targetPoint: { x: leg.targetPoint.x, y: leg.targetPoint.y },
+      sticked: leg.sticked,
+    }));
+    return state;
+  }
+
+  /**
+   * Restores the pose of the body and the legs saved by {@link Lizard#toJSON}.
+   * @param {Object} state - The state.
+   */
+  restoreState(state) {
+    super.restoreState(state);
+    if (!state.legs) return;
+
+    this.legs.forEach((leg, index) => {
+      const saved = state.legs[index];
+      if (!saved) return;
+      leg.joints = saved.joints.map((joint) => Vector2D.fromObject(joint));
+      leg.targetPoint = Vector2D.fromObject(saved.targetPoint);
+      leg.sticked = saved.sticked;
+    });
+    this.previousLegs = undefined;
+  }
+
+  /**
+   * Moves the whole body and the legs without changing their shape.
+   * @param {Vector2D} offset - The translation.
+   */
+  translate(offset) {
+    super.translate(offset);
+    this.legs.forEach((leg) => {
+      leg.joints = leg.joints.map((joint) => Vector2D.add(joint, offset));
+      leg.targetPoint = Vector2D.add(leg.targetPoint, offset);
+    });
+    if (this.previousLegs) {
+      this.previousLegs.forEach((joints) =>
+        joints.forEach((joint) => joint.add(offset))
+      );
+    }
+  }
+
+  /**
+   * Stores the current state of the body segments and the legs as the previous state for interpolation.
+   */
+  savePreviousState() {
+    super.savePreviousState();
+    this.previousLegs = this.legs.map((leg) =>
+      leg.joints.map((joint) => Vector2D.fromVec2D(joint))
+    );
+  }
+
+  /**
+   * Temporarily moves the body segments and the legs between the previous and the current state.
+   * @param {number} alpha - The interpolation factor between the previous (`0`) and the current (`1`) state.
+   */
+  beginInterpolation(alpha) {
+    super.beginInterpolation(alpha);
+    this.currentLegs = this.legs.map((leg) => leg.joints.slice());
+    if (!this.previousLegs) return;
+
+    const maxDistance = this.spacing * this.scale * 2;
+    this.legs.forEach((leg, legIndex) => {
+      leg.joints = leg.joints.map((joint, index) => {
+        const previous = this.previousLegs[legIndex][index];
+        if (previous.distance(joint) > maxDistance) return joint;
+        return Vector2D.lerp(previous, joint, alpha);
+      });
+    });
+  }
+
+  /**
+   * Restores the state of the body segments and the legs changed by {@link Lizard#beginInterpolation}.
+   */
+  endInterpolation() {
+    super.endInterpolation();
+    if (!this.currentLegs) return;
+
+    this.legs.forEach((leg, index) => (leg.joints = this.currentLegs[index]));
+    this.currentLegs = undefined;
+  }
+
   /**
    * Displays the skeleton of the lizard including the legs.
    * @param {CanvasRenderingContext2D} ctx - The canvas rendering context to draw on.
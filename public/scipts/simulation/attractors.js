@@ -0,0 +1,114 @@
+import { Vector2D } from "./utils.js";
+
+/**
+ * Enum-like object for specifying how the force of an attractor fades with distance.
+ * @readonly
+ * @enum {string}
+ */
+const AttractorFalloff = Object.freeze({
+  /** Full force within the whole radius. */
+  CONSTANT: "constant",
+  /** Fades linearly to zero at the radius. */
+  LINEAR: "linear",
+  /** Fades quadratically, most of the force is close to the center. */
+  QUADRATIC: "quadratic",
+  /** Fades with a smoothstep curve, soft at both the center and the radius. */
+  SMOOTH: "smooth",
+});
+
+/**
+ * A point which attracts or repels boids within its radius.
+ * @class
+ */
+class Attractor {
+  /**
+   * Creates an instance of Attractor.
+   * @param {number} id - The identifier of the attractor.
+   * @param {Object} description - The settings of the attractor.
+   * @param {number} description.x - The x coordinate.
+   * @param {number} description.y - The y coordinate.
+   * @param {number} [description.strength=0.3] - The force at the center. Positive values attract, negative values repel.
+   * @param {number} [description.radius=150] - The radius of effect.
+   * @param {AttractorFalloff} [description.falloff=AttractorFalloff.LINEAR] - How the force fades with distance.
+   * @param {number} [description.lifetime=undefined] - The lifetime in simulation steps. If `undefined`, the attractor stays until it is removed.
+   * @param {number} [createdAt=0] - The simulation time of creation.
+   */
+  constructor(id, description, createdAt = 0) {
+    this.id = id;
+    this.pos = new Vector2D(description.x, description.y);
+    this.strength =
+      typeof description.strength === "number" ? description.strength : 0.3;
+    this.radius =
+      typeof description.radius === "number" ? description.radius : 150;
+    this.falloff = description.falloff || AttractorFalloff.LINEAR;
+    this.lifetime = description.lifetime;
+    this.createdAt = createdAt;
+  }
+
+  /**
+   * Checks whether the lifetime of the attractor is over.
+   * @param {number} time - The current simulation time.
+   * @returns {boolean} `true` if the attractor should be removed.
+   */
+  isExpired(time) {
+    return (
+      typeof this.lifetime === "number" &&
+      time - this.createdAt >= this.lifetime
+    );
+  }
+
+  /**
+   * Describes the attractor as plain data which recreates it, e.g. for a snapshot.
+   * @returns {Object} The description with `id` and `createdAt`, see the constructor.
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      x: this.pos.x,
+      y: this.pos.y,
+      strength: this.strength,
+      radius: this.radius,
+      falloff: this.falloff,
+      lifetime: this.lifetime,
+      createdAt: this.createdAt,
+    };
+  }
+
+  /**
+   * Calculates the force on a boid.
+   * @param {Vector2D} offset - The offset from the boid to the attractor.
+   * @returns {Vector2D} The force, zero outside of the radius.
+   */
+  force(offset) {
+    const distance = offset.magnitude;
+    if (distance === 0 || distance >= this.radius) return Vector2D.Zero;
+
+    const force = Vector2D.scale(offset, 1 / distance);
+    force.scale(
+      this.strength * falloffCurve(this.falloff, distance / this.radius)
+    );
+    return force;
+  }
+}
+
+/**
+ * Evaluates a falloff curve.
+ * @param {AttractorFalloff} falloff - The curve.
+ * @param {number} t - The distance relative to the radius, from `0` to `1`.
+ * @returns {number} The relative force, from `1` at the center.
+ */
+function falloffCurve(falloff, t) {
+  switch (falloff) {
+    case AttractorFalloff.CONSTANT:
+      return 1;
+    case AttractorFalloff.QUADRATIC:
+      return (1 - t) * (1 - t);
+    case AttractorFalloff.SMOOTH:
+      return 1 - t * t * (3 - 2 * t);
+    case AttractorFalloff.LINEAR:
+    default:
+      return 1 - t;
+  }
+}
+
+export { Attractor, AttractorFalloff };
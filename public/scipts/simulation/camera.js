@@ -0,0 +1,164 @@
+import { Vector2D } from "./utils.js";
+
+/**
+ * A view on the world: the world point at the center of the viewport, a zoom and a rotation.
+ * Screen coordinates are canvas pixels, see {@link getMousePos}.
+ * @class
+ */
+class Camera {
+  /**
+   * Creates an instance of Camera. By default the world is shown 1:1 with its origin in the top left corner.
+   * @param {number} width - The width of the viewport in canvas pixels.
+   * @param {number} height - The height of the viewport in canvas pixels.
+   * @param {number} [x=width / 2] - The x coordinate of the world point at the center of the viewport.
+   * @param {number} [y=height / 2] - The y coordinate of the world point at the center of the viewport.
+   * @param {number} [zoom=1] - The scale from world to screen.
+   * @param {number} [rotation=0] - The rotation of the world on the screen in radians.
+   * @param {number} [minZoom=0.1] - The smallest zoom.
+   * @param {number} [maxZoom=10] - The largest zoom.
+   */
+  constructor(
+    width,
+    height,
+    x = width / 2,
+    y = height / 2,
+    zoom = 1,
+    rotation = 0,
+    minZoom = 0.1,
+    maxZoom = 10
+  ) {
+    this.width = width;
+    this.height = height;
+    this.x = x;
+    this.y = y;
+    this.minZoom = minZoom;
+    this.maxZoom = maxZoom;
+    this.zoom = Math.min(Math.max(zoom, minZoom), maxZoom);
+    this.rotation = rotation;
+  }
+
+  /**
+   * Sets the size of the viewport. The world point at the center stays.
+   * @param {number} width - The width in canvas pixels.
+   * @param {number} height - The height in canvas pixels.
+   */
+  setViewport(width, height) {
+    this.width = width;
+    this.height = height;
+  }
+
+  /**
+   * Centers the viewport on a world point.
+   * @param {number} x - The x coordinate.
+   * @param {number} y - The y coordinate.
+   */
+  lookAt(x, y) {
+    this.x = x;
+    this.y = y;
+  }
+
+  /**
+   * Converts a screen position to world coordinates.
+   * @param {{ x: number, y: number }} pos - The position in canvas pixels.
+   * @returns {Vector2D} The world position.
+   */
+  screenToWorld(pos) {
+    const offset = new Vector2D(
+      pos.x - this.width / 2,
+      pos.y - this.height / 2
+    ).rotate(-this.rotation);
+    return new Vector2D(
+      this.x + offset.x / this.zoom,
+      this.y + offset.y / this.zoom
+    );
+  }
+
+  /**
+   * Converts a world position to screen coordinates.
+   * @param {{ x: number, y: number }} pos - The world position.
+   * @returns {Vector2D} The position in canvas pixels.
+   */
+  worldToScreen(pos) {
+    const offset = new Vector2D(
+      (pos.x - this.x) * this.zoom,
+      (pos.y - this.y) * this.zoom
+    ).rotate(this.rotation);
+    return new Vector2D(offset.x + this.width / 2, offset.y + this.height / 2);
+  }
+
+  /**
+   * Gets the transform from world to screen as the arguments of `CanvasRenderingContext2D.setTransform`.
+   * @returns {[number, number, number, number, number, number]} The matrix `[a, b, c, d, e, f]`.
+   */
+  getTransform() {
+    const a = Math.cos(this.rotation) * this.zoom;
+    const b = Math.sin(this.rotation) * this.zoom;
+    return [
+      a,
+      b,
+      -b,
+      a,
+      this.width / 2 - (a * this.x - b * this.y),
+      this.height / 2 - (b * this.x + a * this.y),
+    ];
+  }
+
+  /**
+   * Moves the world on the screen, e.g. along a drag.
+   * @param {number} dx - The movement along the x axis of the screen in canvas pixels.
+   * @param {number} dy - The movement along the y axis of the screen in canvas pixels.
+   */
+  pan(dx, dy) {
+    const offset = new Vector2D(dx, dy).rotate(-this.rotation);
+    this.x -= offset.x / this.zoom;
+    this.y -= offset.y / this.zoom;
+  }
+
+  /**
+   * Scales the zoom, keeping the world point under a screen position in place.
+   * @param {number} factor - The factor of the zoom, clamped to `minZoom` and `maxZoom`.
+   * @param {{ x: number, y: number }} pos - The fixed position in canvas pixels, e.g. the cursor.
+   */
+  zoomAt(factor, pos) {
+    const before = this.screenToWorld(pos);
+    this.zoom = Math.min(
+      Math.max(this.zoom * factor, this.minZoom),
+      this.maxZoom
+    );
+    const after = this.screenToWorld(pos);
+    this.x += before.x - after.x;
+    this.y += before.y - after.y;
+  }
+
+  /**
+   * Rotates the world, keeping the world point under a screen position in place.
+   * @param {number} angle - The angle in radians.
+   * @param {{ x: number, y: number }} pos - The fixed position in canvas pixels, e.g. the center of a pinch.
+   */
+  rotateAt(angle, pos) {
+    const before = this.screenToWorld(pos);
+    this.rotation += angle;
+    const after = this.screenToWorld(pos);
+    this.x += before.x - after.x;
+    this.y += before.y - after.y;
+  }
+
+  /**
+   * Describes the camera as plain data, e.g. to send it to a worker.
+   * @returns {{ width: number, height: number, x: number, y: number, zoom: number, rotation: number, minZoom: number, maxZoom: number }} The description, in the order of the constructor.
+   */
+  toJSON() {
+    return {
+      width: this.width,
+      height: this.height,
+      x: this.x,
+      y: this.y,
+      zoom: this.zoom,
+      rotation: this.rotation,
+      minZoom: this.minZoom,
+      maxZoom: this.maxZoom,
+    };
+  }
+}
+
+export { Camera };
@@ -0,0 +1,264 @@
+import { createNoise3D, seededRandom, Vector2D } from "./utils.js";
+
+/**
+ * Enum-like object for specifying built-in flow field types.
+ * @readonly
+ * @enum {string}
+ */
+const FlowFieldType = Object.freeze({
+  UNIFORM: "uniform",
+  VORTEX: "vortex",
+  NOISE: "noise",
+});
+
+/**
+ * Base class of the vector fields which push boids around, e.g. water currents.
+ * Custom fields extend it and override {@link FlowField#force}.
+ * @class
+ */
+class FlowField {
+  /**
+   * Creates an instance of FlowField.
+   * @param {number} [strength=0.05] - The magnitude of the force at full effect.
+   * @param {{ x: number, y: number, radius?: number, width?: number, height?: number }} [region=undefined] - The region of effect, a circle with `radius` or a rectangle with `width` and `height`. If `undefined`, the field is everywhere.
+   * @param {number} [feather=50] - The width of the border of the region over which the effect fades out.
+   */
+  constructor(strength = 0.05, region = undefined, feather = 50) {
+    this.id = undefined;
+    this.strength = strength;
+    this.region = region;
+    this.feather = feather;
+  }
+
+  /**
+   * Describes the field for {@link createFlowField}, e.g. for a snapshot.
+   * Custom fields return `undefined` unless they override it, and are left out of snapshots.
+   * @returns {Object|undefined} The description.
+   */
+  toJSON() {
+    return undefined;
+  }
+
+  /**
+   * Calculates how strong the field is at a position, from `0` outside of the region to `1` well inside.
+   * @param {Vector2D} pos - The position.
+   * @returns {number} The effect of the field.
+   */
+  effect(pos) {
+    const region = this.region;
+    if (!region) return 1;
+
+    let inside;
+    if (typeof region.radius === "number") {
+      inside = region.radius - Math.hypot(pos.x - region.x, pos.y - region.y);
+    } else {
+      inside = Math.min(
+        pos.x - region.x,
+        region.x + region.width - pos.x,
+        pos.y - region.y,
+        region.y + region.height - pos.y
+      );
+    }
+    if (inside <= 0) return 0;
+    return this.feather > 0 ? Math.min(inside / this.feather, 1) : 1;
+  }
+
+  /**
+   * Calculates the direction of the field at a position, without strength and region.
+   * @param {Vector2D} pos - The position.
+   * @param {number} time - The simulation time.
+   * @returns {Vector2D} The direction, usually a unit vector.
+   */
+  force(pos, time) {
+    return Vector2D.Zero;
+  }
+
+  /**
+   * Samples the field at a position.
+   * @param {Vector2D} pos - The position.
+   * @param {number} time - The simulation time.
+   * @returns {Vector2D} The force added to the acceleration of a boid at the position.
+   */
+  sample(pos, time) {
+    const effect = this.effect(pos);
+    if (effect === 0) return Vector2D.Zero;
+
+    const force = this.force(pos, time);
+    force.scale(this.strength * effect);
+    return force;
+  }
+}
+
+/**
+ * A current flowing in one direction.
+ * @class
+ * @extends FlowField
+ */
+class UniformField extends FlowField {
+  /**
+   * Creates an instance of UniformField.
+   * @param {number} [angle=0] - The direction of the current in radians.
+   * @param {number} [strength=0.05] - The magnitude of the force.
+   * @param {Object} [region=undefined] - The region of effect, see {@link FlowField}.
+   */
+  constructor(angle = 0, strength = 0.05, region = undefined) {
+    super(strength, region);
+    this.angle = angle;
+  }
+
+  force(pos, time) {
+    return Vector2D.addPolar(Vector2D.Zero, 1, this.angle);
+  }
+
+  toJSON() {
+    return {
+      type: FlowFieldType.UNIFORM,
+      angle: this.angle,
+      strength: this.strength,
+      region: this.region,
+    };
+  }
+}
+
+/**
+ * A whirlpool circling around a center.
+ * @class
+ * @extends FlowField
+ */
+class VortexField extends FlowField {
+  /**
+   * Creates an instance of VortexField.
+   * @param {number} x - The x coordinate of the center.
+   * @param {number} y - The y coordinate of the center.
+   * @param {number} [radius=200] - The radius of the whirlpool, also its region of effect.
+   * @param {number} [strength=0.08] - The magnitude of the force.
+   * @param {boolean} [clockwise=true] - The direction of rotation.
+   * @param {number} [pull=0.2] - How much the whirlpool pulls towards its center, `0` is a pure circle.
+   */
+  constructor(
+    x,
+    y,
+    radius = 200,
+    strength = 0.08,
+    clockwise = true,
+    pull = 0.2
+  ) {
+    super(strength, { x, y, radius }, radius / 2);
+    this.center = new Vector2D(x, y);
+    this.clockwise = clockwise;
+    this.pull = pull;
+  }
+
+  force(pos, time) {
+    const toCenter = Vector2D.sub(this.center, pos).unit();
+    const sign = this.clockwise ? 1 : -1;
+    const tangent = new Vector2D(-toCenter.y * sign, toCenter.x * sign);
+    return Vector2D.add(tangent, Vector2D.scale(toCenter, this.pull));
+  }
+
+  toJSON() {
+    return {
+      type: FlowFieldType.VORTEX,
+      x: this.center.x,
+      y: this.center.y,
+      radius: this.region.radius,
+      strength: this.strength,
+      clockwise: this.clockwise,
+      pull: this.pull,
+    };
+  }
+}
+
+/**
+ * A turbulent field from 3D noise, the third dimension is time so the flow slowly evolves.
+ * @class
+ * @extends FlowField
+ */
+class NoiseField extends FlowField {
+  /**
+   * Creates an instance of NoiseField.
+   * @param {number} [scale=0.003] - The spatial frequency of the noise, smaller values give wider swirls.
+   * @param {number} [speed=0.002] - How fast the field changes per step.
+   * @param {number} [strength=0.05] - The magnitude of the force.
+   * @param {Object} [region=undefined] - The region of effect, see {@link FlowField}.
+   * @param {number} [seed=undefined] - Seed for the noise. If `undefined`, `Math.random` is used.
+   */
+  constructor(
+    scale = 0.003,
+    speed = 0.002,
+    strength = 0.05,
+    region = undefined,
+    seed = undefined
+  ) {
+    super(strength, region);
+    this.scale = scale;
+    this.speed = speed;
+    this.seed = seed;
+    this.noise = createNoise3D(
+      typeof seed !== "undefined" ? seededRandom(seed) : Math.random
+    );
+  }
+
+  force(pos, time) {
+    const angle =
+      this.noise(pos.x * this.scale, pos.y * this.scale, time * this.speed) *
+      Math.PI *
+      2;
+    return Vector2D.addPolar(Vector2D.Zero, 1, angle);
+  }
+
+  toJSON() {
+    return {
+      type: FlowFieldType.NOISE,
+      scale: this.scale,
+      speed: this.speed,
+      strength: this.strength,
+      region: this.region,
+      seed: this.seed,
+    };
+  }
+}
+
+/**
+ * Creates a built-in flow field from a plain description, e.g. sent to a worker.
+ * @param {Object} description - The type and the constructor parameters of the field by name, e.g. `{ type: "vortex", x, y, radius, strength }`.
+ * @param {FlowFieldType} description.type - The type of the field.
+ * @param {() => number} [random=Math.random] - The source of random numbers, seeds noise fields without a `seed`.
+ * @returns {FlowField} The field.
+ */
+function createFlowField(description, random = Math.random) {
+  const d = description;
+  switch (d.type) {
+    case FlowFieldType.VORTEX:
+      return new VortexField(
+        d.x,
+        d.y,
+        d.radius,
+        d.strength,
+        d.clockwise,
+        d.pull
+      );
+    case FlowFieldType.NOISE:
+      return new NoiseField(
+        d.scale,
+        d.speed,
+        d.strength,
+        d.region,
+        typeof d.seed !== "undefined"
+          ? d.seed
+          : Math.floor(random() * 4294967296)
+      );
+    case FlowFieldType.UNIFORM:
+    default:
+      return new UniformField(d.angle, d.strength, d.region);
+  }
+}
+
+export {
+  FlowField,
+  FlowFieldType,
+  UniformField,
+  VortexField,
+  NoiseField,
+  createFlowField,
+};
@@ -0,0 +1,39 @@
+import { Vector2D } from "./utils.js";
+
+/**
+ * A food pellet of the ecology layer. Hungry boids seek pellets and eat them to restore energy.
+ * @class
+ */
+class Food {
+  /**
+   * Creates an instance of Food.
+   * @param {number} id - The identifier of the pellet.
+   * @param {Vector2D} pos - The position of the pellet.
+   * @param {number} [energy=0.3] - The energy restored by eating the pellet, the full energy of a boid is `1`.
+   * @param {number} [radius=3] - The radius of the pellet, used for rendering.
+   * @param {string} [color="#e8c872"] - The color of the pellet.
+   */
+  constructor(id, pos, energy = 0.3, radius = 3, color = "#e8c872") {
+    this.id = id;
+    this.pos = Vector2D.fromVec2D(pos);
+    this.energy = energy;
+    this.radius = radius;
+    this.color = color;
+  }
+
+  /**
+   * Converts the pellet to plain data, e.g. for a snapshot.
+   * @returns {{ id: number, pos: { x: number, y: number }, energy: number, radius: number, color: string }} The pellet data.
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      pos: { x: this.pos.x, y: this.pos.y },
+      energy: this.energy,
+      radius: this.radius,
+      color: this.color,
+    };
+  }
+}
+
+export { Food };
@@ -0,0 +1,112 @@
+import { Vector2D } from "./utils.js";
+
+/**
+ * Enum-like object for specifying the shape of a formation.
+ * @readonly
+ * @enum {string}
+ */
+const FormationType = Object.freeze({
+  /** Followers in single file behind the leader. */
+  LINE: "line",
+  /** Followers in two diagonal wings behind the leader. */
+  V: "v",
+  /** Followers in rings around the leader. */
+  ESCORT: "escort",
+});
+
+/**
+ * Enum-like object for specifying how the leader of a formation moves.
+ * @readonly
+ * @enum {string}
+ */
+const LeaderMode = Object.freeze({
+  /** The leader wanders on its own, only keeping its distance to other boids. */
+  FREE: "free",
+  /** The leader follows the path of the formation. */
+  PATH: "path",
+  /** The leader heads to the cursor while it hovers the simulation. */
+  CURSOR: "cursor",
+});
+
+/**
+ * A leader boid with followers holding slots relative to its position and heading.
+ * @class
+ */
+class Formation {
+  /**
+   * Creates an instance of Formation.
+   * @param {number} id - The identifier of the formation.
+   * @param {Boid} leader - The leader.
+   * @param {Boid[]} [followers=[]] - The followers, the order gives their slots.
+   * @param {FormationType} [type=FormationType.V] - The shape of the formation.
+   * @param {number} [spacing=30] - The distance between neighbouring slots.
+   * @param {LeaderMode} [mode=LeaderMode.FREE] - How the leader moves.
+   * @param {Path} [path=undefined] - The path of the leader for `LeaderMode.PATH`.
+   */
+  constructor(
+    id,
+    leader,
+    followers = [],
+    type = FormationType.V,
+    spacing = 30,
+    mode = LeaderMode.FREE,
+    path = undefined
+  ) {
+    this.id = id;
+    this.leader = leader;
+    this.followers = followers;
+    this.type = type;
+    this.spacing = spacing;
+    this.mode = mode;
+    this.path = path;
+    // the last heading of the leader, kept while it stands still
+    this.heading = leader.velocity.magnitude > 0 ? leader.velocity.angle : 0;
+  }
+
+  /**
+   * Calculates the offset of a slot from the leader, with the leader heading to the right.
+   * @param {number} index - The index of the slot.
+   * @returns {Vector2D} The offset in the frame of the leader.
+   */
+  slotOffset(index) {
+    const spacing = this.spacing;
+    switch (this.type) {
+      case FormationType.LINE:
+        return new Vector2D(-(index + 1) * spacing, 0);
+      case FormationType.ESCORT: {
+        // rings of 6, 12, 18... slots, every ring one spacing further out
+        let ring = 1;
+        let first = 0;
+        while (index >= first + ring * 6) {
+          first += ring * 6;
+          ring++;
+        }
+        const angle = ((index - first) / (ring * 6)) * Math.PI * 2;
+        return Vector2D.addPolar(Vector2D.Zero, ring * spacing, angle);
+      }
+      case FormationType.V:
+      default: {
+        const rank = Math.floor(index / 2) + 1;
+        const side = index % 2 === 0 ? -1 : 1;
+        return new Vector2D(-rank * spacing, side * rank * spacing * 0.75);
+      }
+    }
+  }
+
+  /**
+   * Calculates the world position of a slot from the current position and heading of the leader.
+   * @param {number} index - The index of the slot.
+   * @returns {Vector2D} The position of the slot.
+   */
+  slotPosition(index) {
+    if (this.leader.velocity.magnitude > 1e-3) {
+      this.heading = this.leader.velocity.angle;
+    }
+    return Vector2D.add(
+      this.leader.position,
+      this.slotOffset(index).rotate(this.heading)
+    );
+  }
+}
+
+export { Formation, FormationType, LeaderMode };
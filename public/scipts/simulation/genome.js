@@ -0,0 +1,187 @@
+import {
+  colorNameToHex,
+  hexToRgbArray,
+  hsvToRgb,
+  rgb2hsv,
+  rgbToHex,
+} from "./utils.js";
+
+/**
+ * Inheritable traits of an animal: body shape, fins, colors and steering weights.
+ * Genes are plain data, so a genome can be cloned by `postMessage` and stored as JSON.
+ * @class
+ */
+class Genome {
+  /**
+   * Creates an instance of Genome.
+   * @param {Object} genes - The genes.
+   * @param {number[]} genes.radii - The radiuses of the body segments.
+   * @param {number} genes.spacing - The spacing between the segments.
+   * @param {number} genes.maxAngle - The maximum angle between the segments.
+   * @param {number} [genes.scale=1] - The scale of the body.
+   * @param {Array<[number, number]>} [genes.sideFins=[]] - The radiuses of the side fins, only used by fish.
+   * @param {number} [genes.tailLength=undefined] - The length of the tail fin, only used by fish.
+   * @param {number} [genes.topFinOffset=undefined] - The height of the top fin, only used by fish.
+   * @param {[number, number, number]} [genes.color=undefined] - The body color as HSV, each from 0 to 1. If `undefined`, the color of the animal is kept.
+   * @param {number} [genes.alignment=1] - The weight of alignment, multiplied with `SimulationParams.alignmentImpact`.
+   * @param {number} [genes.cohesion=1] - The weight of cohesion, multiplied with `SimulationParams.cohesionImpact`.
+   * @param {number} [genes.avoidance=1] - The weight of avoidance, multiplied with `SimulationParams.avoidanceImpact`.
+   */
+  constructor({
+    radii,
+    spacing,
+    maxAngle,
+    scale = 1,
+    sideFins = [],
+    tailLength = undefined,
+    topFinOffset = undefined,
+    color = undefined,
+    alignment = 1,
+    cohesion = 1,
+    avoidance = 1,
+  }) {
+    this.radii = radii.slice();
+    this.spacing = spacing;
+    this.maxAngle = maxAngle;
+    this.scale = scale;
+    this.sideFins = sideFins.map((fin) => fin.slice());
+    this.tailLength = tailLength;
+    this.topFinOffset = topFinOffset;
+    this.color = color ? color.slice() : undefined;
+    this.alignment = alignment;
+    this.cohesion = cohesion;
+    this.avoidance = avoidance;
+  }
+
+  /**
+   * Reads the genome of an animal.
+   * @param {BodyBase} animal - The animal.
+   * @returns {Genome} The genome.
+   */
+  static fromAnimal(animal) {
+    let color = animal.style.fillHSV;
+    if (!color && typeof animal.style.fill === "string") {
+      const fill = colorNameToHex(animal.style.fill);
+      if (fill[0] === "#") {
+        color = rgb2hsv(...hexToRgbArray(fill).map((v) => v / 256));
+      }
+    }
+
+    return new Genome({
+      radii: animal.chainLinks.map((link) => link.radius),
+      spacing: animal.spacing,
+      maxAngle: animal.maxAngle,
+      scale: animal.scale,
+      sideFins: (animal.sideFins || []).map((fin) => [
+        fin.radiusX,
+        fin.radiusY,
+      ]),
+      tailLength: animal.tailFin ? animal.tailFin.length : undefined,
+      topFinOffset: animal.topFin ? animal.topFin.offset : undefined,
+      color,
+    });
+  }
+
+  /**
+   * Creates a child genome, every gene is taken from one of the parents at random.
+   * @param {Genome} other - The other parent.
+   * @param {() => number} [random=Math.random] - The source of random numbers.
+   * @returns {Genome} The child genome.
+   */
+  crossover(other, random = Math.random) {
+    const pick = (a, b) => (random() < 0.5 ? a : b);
+    const pickEach = (a, b) =>
+      a.length === b.length ? a.map((gene, i) => pick(gene, b[i])) : pick(a, b);
+
+    return new Genome({
+      radii: pickEach(this.radii, other.radii),
+      spacing: pick(this.spacing, other.spacing),
+      maxAngle: pick(this.maxAngle, other.maxAngle),
+      scale: pick(this.scale, other.scale),
+      sideFins: pickEach(this.sideFins, other.sideFins),
+      tailLength: pick(this.tailLength, other.tailLength),
+      topFinOffset: pick(this.topFinOffset, other.topFinOffset),
+      color: pick(this.color, other.color),
+      alignment: pick(this.alignment, other.alignment),
+      cohesion: pick(this.cohesion, other.cohesion),
+      avoidance: pick(this.avoidance, other.avoidance),
+    });
+  }
+
+  /**
+   * Randomly changes genes in place.
+   * @param {number} [rate=0.1] - The chance of every gene to mutate.
+   * @param {number} [amount=0.1] - The maximum relative change of a mutated gene.
+   * @param {() => number} [random=Math.random] - The source of random numbers.
+   * @returns {Genome} The genome itself.
+   */
+  mutate(rate = 0.1, amount = 0.1, random = Math.random) {
+    const vary = (gene, min = 0) => {
+      if (typeof gene !== "number" || random() >= rate) return gene;
+      return Math.max(min, gene * (1 + (random() * 2 - 1) * amount));
+    };
+
+    this.radii = this.radii.map((radius) => vary(radius, 1));
+    this.spacing = vary(this.spacing, 1);
+    this.maxAngle = vary(this.maxAngle, 1);
+    this.scale = vary(this.scale, 0.1);
+    this.sideFins = this.sideFins.map((fin) => fin.map((r) => vary(r, 1)));
+    this.tailLength = vary(this.tailLength, 1);
+    this.topFinOffset = vary(this.topFinOffset);
+    this.alignment = vary(this.alignment);
+    this.cohesion = vary(this.cohesion);
+    this.avoidance = vary(this.avoidance);
+
+    if (this.color) {
+      const [h, s, v] = this.color;
+      this.color = [
+        random() < rate ? (h + (random() * 2 - 1) * amount + 1) % 1 : h,
+        Math.min(1, vary(s)),
+        Math.min(1, vary(v)),
+      ];
+    }
+    return this;
+  }
+
+  /**
+   * Applies the genome to an animal. Should be called before the graphics of the animal are created.
+   * Genes which do not fit the animal, e.g. radiuses for another number of segments, are skipped.
+   * @param {BodyBase} animal - The animal.
+   */
+  applyTo(animal) {
+    if (this.radii.length === animal.chainLinks.length) {
+      animal.chainLinks.forEach((link, i) => (link.radius = this.radii[i]));
+    }
+    animal.spacing = this.spacing;
+    animal.maxAngle = this.maxAngle;
+    animal.scale = this.scale;
+
+    if (animal.sideFins && this.sideFins.length === animal.sideFins.length) {
+      animal.sideFins.forEach((fin, i) => {
+        fin.radiusX = this.sideFins[i][0];
+        fin.radiusY = this.sideFins[i][1];
+      });
+    }
+    if (animal.tailFin && typeof this.tailLength === "number") {
+      animal.tailFin.length = this.tailLength;
+    }
+    if (animal.topFin && typeof this.topFinOffset === "number") {
+      animal.topFin.offset = this.topFinOffset;
+    }
+
+    if (this.color) {
+      const [h, s, v] = this.color;
+      animal.style.fillHSV = this.color.slice();
+      animal.style.fill = rgbToHex(
+        hsvToRgb(h, s, v).map((num) => Math.floor(num))
+      );
+      if (animal.style.finFill) {
+        animal.style.finFill = rgbToHex(
+          hsvToRgb(h, Math.max(0, s - 0.3), v).map((num) => Math.floor(num))
+        );
+      }
+    }
+  }
+}
+
+export { Genome };
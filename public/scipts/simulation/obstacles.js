@@ -0,0 +1,205 @@
+import { Vector2D } from "./utils.js";
+
+/**
+ * Enum-like object for specifying obstacle shapes.
+ * @readonly
+ * @enum {string}
+ */
+const ObstacleType = Object.freeze({
+  CIRCLE: "circle",
+  RECT: "rect",
+  POLYGON: "polygon",
+});
+
+/**
+ * A static obstacle the boids steer around. Geometry is in simulation coordinates.
+ * @class
+ */
+class Obstacle {
+  /**
+   * Creates an instance of Obstacle.
+   * @param {Object} shape - The shape description.
+   * @param {ObstacleType} shape.type - The type of the shape.
+   * @param {number} [shape.x] - Center x for circles, left edge for rectangles.
+   * @param {number} [shape.y] - Center y for circles, top edge for rectangles.
+   * @param {number} [shape.radius] - The radius of a circle.
+   * @param {number} [shape.width] - The width of a rectangle.
+   * @param {number} [shape.height] - The height of a rectangle.
+   * @param {Array<{ x: number, y: number }>} [shape.points] - The vertices of a polygon.
+   * @param {boolean} [shape.visible=true] - Whether renderers draw the obstacle. Invisible obstacles are useful for page content above the canvas.
+   * @param {{ fill: string, outline: string, outlineWidth: number }} [shape.style] - The style settings for the obstacle.
+   * @param {number} id - The identifier of the obstacle.
+   * @throws {Error} If the shape is invalid, see {@link Obstacle.validate}.
+   */
+  constructor(shape, id) {
+    Obstacle.validate(shape);
+    this.id = id;
+    this.type = shape.type;
+    this.visible = shape.visible !== false;
+    this.style = {
+      fill: "#0a2233",
+      outline: "#04080a",
+      outlineWidth: 1.5,
+      ...shape.style,
+    };
+
+    switch (this.type) {
+      case ObstacleType.CIRCLE:
+        this.center = new Vector2D(shape.x, shape.y);
+        this.radius = shape.radius;
+        break;
+      case ObstacleType.RECT:
+        this.x = shape.x;
+        this.y = shape.y;
+        this.width = shape.width;
+        this.height = shape.height;
+        this.points = [
+          new Vector2D(shape.x, shape.y),
+          new Vector2D(shape.x + shape.width, shape.y),
+          new Vector2D(shape.x + shape.width, shape.y + shape.height),
+          new Vector2D(shape.x, shape.y + shape.height),
+        ];
+        break;
+      case ObstacleType.POLYGON:
+        this.points = shape.points.map((point) => Vector2D.fromObject(point));
+        break;
+    }
+  }
+
+  /**
+   * Checks a shape description before an obstacle is created from it.
+   * @param {Object} shape - The shape description, see the constructor.
+   * @throws {Error} If the type is not an {@link ObstacleType} or a polygon has less than 3 points.
+   */
+  static validate(shape) {
+    const types = Object.values(ObstacleType);
+    const type = shape ? shape.type : undefined;
+    if (!types.includes(type)) {
+      throw new Error(
+        `Obstacle: unknown type "${type}", expected one of ${types.join(", ")}.`
+      );
+    }
+    if (
+      shape.type === ObstacleType.POLYGON &&
+      (!Array.isArray(shape.points) || shape.points.length < 3)
+    ) {
+      throw new Error("Obstacle: a polygon needs at least 3 points.");
+    }
+  }
+
+  /**
+   * Describes the obstacle as a shape which recreates it, e.g. for a snapshot.
+   * @returns {Object} The shape description, see the constructor.
+   */
+  toJSON() {
+    const shape = {
+      type: this.type,
+      visible: this.visible,
+      style: { ...this.style },
+    };
+    switch (this.type) {
+      case ObstacleType.CIRCLE:
+        return {
+          ...shape,
+          x: this.center.x,
+          y: this.center.y,
+          radius: this.radius,
+        };
+      case ObstacleType.RECT:
+        return {
+          ...shape,
+          x: this.x,
+          y: this.y,
+          width: this.width,
+          height: this.height,
+        };
+      case ObstacleType.POLYGON:
+      default:
+        return {
+          ...shape,
+          points: this.points.map((point) => ({ x: point.x, y: point.y })),
+        };
+    }
+  }
+
+  /**
+   * Calculates the signed distance from a position to the border of the obstacle.
+   * @param {Vector2D} pos - The position.
+   * @returns {{ distance: number, normal: Vector2D }} The distance, negative inside the obstacle, and the unit normal pointing out of the obstacle.
+   */
+  distanceTo(pos) {
+    if (this.type === ObstacleType.CIRCLE) {
+      const diff = Vector2D.sub(pos, this.center);
+      const normal = diff.magnitude > 0 ? diff.unit() : Vector2D.Right;
+      return { distance: diff.magnitude - this.radius, normal };
+    }
+
+    let closest = undefined;
+    let minDistance = Infinity;
+    for (let i = 0; i < this.points.length; i++) {
+      const a = this.points[i];
+      const b = this.points[(i + 1) % this.points.length];
+      const point = closestPointOnSegment(pos, a, b);
+      const distance = pos.distance(point);
+      if (distance < minDistance) {
+        minDistance = distance;
+        closest = point;
+      }
+    }
+
+    const inside = this.contains(pos);
+    let normal = Vector2D.sub(pos, closest).unit();
+    if (inside) normal.scale(-1);
+    return { distance: inside ? -minDistance : minDistance, normal };
+  }
+
+  /**
+   * Checks whether a position is inside the obstacle.
+   * @param {Vector2D} pos - The position.
+   * @returns {boolean} `true` if the position is inside.
+   */
+  contains(pos) {
+    if (this.type === ObstacleType.CIRCLE) {
+      return pos.distance(this.center) < this.radius;
+    }
+
+    // ray casting
+    let inside = false;
+    for (
+      let i = 0, j = this.points.length - 1;
+      i < this.points.length;
+      j = i++
+    ) {
+      const a = this.points[i];
+      const b = this.points[j];
+      if (
+        a.y > pos.y !== b.y > pos.y &&
+        pos.x < ((b.x - a.x) * (pos.y - a.y)) / (b.y - a.y) + a.x
+      ) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+}
+
+/**
+ * Finds the point of a segment closest to a position.
+ * @param {Vector2D} pos - The position.
+ * @param {Vector2D} a - The start of the segment.
+ * @param {Vector2D} b - The end of the segment.
+ * @returns {Vector2D} The closest point.
+ */
+function closestPointOnSegment(pos, a, b) {
+  const ab = Vector2D.sub(b, a);
+  const lengthSquared = ab.dot(ab);
+  if (lengthSquared === 0) return Vector2D.fromVec2D(a);
+
+  const t = Math.max(
+    0,
+    Math.min(1, Vector2D.sub(pos, a).dot(ab) / lengthSquared)
+  );
+  return Vector2D.add(a, Vector2D.scale(ab, t));
+}
+
+export { Obstacle, ObstacleType };
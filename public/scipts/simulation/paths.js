@@ -0,0 +1,171 @@
+import { Vector2D } from "./utils.js";
+
+/**
+ * A route for boids to follow: a polyline, or a Catmull-Rom spline through the points, with a radius.
+ * @class
+ */
+class Path {
+  /**
+   * Creates an instance of Path.
+   * @param {number} id - The identifier of the path.
+   * @param {Object} description - The settings of the path.
+   * @param {Array<{ x: number, y: number }>} description.points - The waypoints, at least two.
+   * @param {number} [description.radius=30] - The half width of the path. Boids inside of it are only nudged forward.
+   * @param {boolean} [description.loop=false] - Whether the path connects the last waypoint back to the first.
+   * @param {boolean} [description.smooth=false] - Whether the path is a spline through the waypoints instead of straight lines.
+   * @param {number} [description.resolution=8] - The number of straight segments per spline section.
+   * @throws {Error} If there are less than two waypoints.
+   */
+  constructor(id, description) {
+    if (!Array.isArray(description.points) || description.points.length < 2) {
+      throw new Error("Path: a path needs at least 2 points.");
+    }
+    this.id = id;
+    this.radius =
+      typeof description.radius === "number" ? description.radius : 30;
+    this.loop = !!description.loop;
+
+    const waypoints = description.points.map((point) =>
+      Vector2D.fromObject(point)
+    );
+    /** @type {Vector2D[]} */
+    this.points = description.smooth
+      ? getSplinePoints(waypoints, this.loop, description.resolution || 8)
+      : waypoints;
+
+    // distance along the path at each point, the closing segment of a loop is included in `length`
+    this.distances = [0];
+    for (let i = 1; i < this.points.length; i++) {
+      this.distances.push(
+        this.distances[i - 1] + this.points[i].distance(this.points[i - 1])
+      );
+    }
+    this.length = this.distances[this.distances.length - 1];
+    if (this.loop) {
+      this.length += this.points[this.points.length - 1].distance(
+        this.points[0]
+      );
+    }
+  }
+
+  /**
+   * Describes the path as plain data which recreates it, e.g. for a snapshot. Splines are stored as their sampled points.
+   * @returns {{ id: number, points: Array<{ x: number, y: number }>, radius: number, loop: boolean }} The description.
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      points: this.points.map((point) => ({ x: point.x, y: point.y })),
+      radius: this.radius,
+      loop: this.loop,
+    };
+  }
+
+  /**
+   * The number of straight segments of the path.
+   * @returns {number} The segment count.
+   */
+  get segmentCount() {
+    return this.loop ? this.points.length : this.points.length - 1;
+  }
+
+  /**
+   * Finds the point of the path closest to a position.
+   * @param {Vector2D} pos - The position.
+   * @returns {{ point: Vector2D, along: number, distance: number }} The closest point, its distance along the path and its distance to `pos`.
+   */
+  closestPoint(pos) {
+    let closest = { point: this.points[0], along: 0, distance: Infinity };
+    for (let i = 0; i < this.segmentCount; i++) {
+      const a = this.points[i];
+      const b = this.points[(i + 1) % this.points.length];
+      const ab = Vector2D.sub(b, a);
+      const lengthSquared = ab.dot(ab);
+      const t =
+        lengthSquared > 0
+          ? Math.max(
+              0,
+              Math.min(1, Vector2D.sub(pos, a).dot(ab) / lengthSquared)
+            )
+          : 0;
+      const point = Vector2D.add(a, Vector2D.scale(ab, t));
+      const distance = pos.distance(point);
+      if (distance < closest.distance) {
+        const along = this.distances[i] + Math.sqrt(lengthSquared) * t;
+        closest = { point, along, distance };
+      }
+    }
+    return closest;
+  }
+
+  /**
+   * Gets the point at a distance along the path. Loops wrap around, open paths are clamped to their ends.
+   * @param {number} along - The distance along the path.
+   * @returns {Vector2D} The point.
+   */
+  pointAt(along) {
+    if (this.loop) {
+      along = ((along % this.length) + this.length) % this.length;
+    } else {
+      along = Math.max(0, Math.min(this.length, along));
+    }
+
+    for (let i = 0; i < this.segmentCount; i++) {
+      const a = this.points[i];
+      const b = this.points[(i + 1) % this.points.length];
+      const end =
+        i + 1 < this.distances.length ? this.distances[i + 1] : this.length;
+      if (along <= end || i === this.segmentCount - 1) {
+        const segment = end - this.distances[i];
+        const t = segment > 0 ? (along - this.distances[i]) / segment : 0;
+        return Vector2D.lerp(a, b, Math.min(Math.max(t, 0), 1));
+      }
+    }
+    return Vector2D.fromVec2D(this.points[0]);
+  }
+
+  /**
+   * Checks whether a boid has travelled an open path up to its end, i.e. to within `radius` of its last point.
+   * @param {number} progress - The distance along the path the boid has travelled, see `Boid.pathProgress`.
+   * @returns {boolean} `true` if the end is reached, always `false` for loops.
+   */
+  hasReachedEnd(progress) {
+    return !this.loop && progress >= this.length - this.radius;
+  }
+}
+
+/**
+ * Samples a Catmull-Rom spline through the waypoints.
+ * @param {Vector2D[]} waypoints - The waypoints.
+ * @param {boolean} loop - Whether the spline is closed.
+ * @param {number} resolution - The number of points per section.
+ * @returns {Vector2D[]} The points of the spline.
+ */
+function getSplinePoints(waypoints, loop, resolution) {
+  const n = waypoints.length;
+  if (n < 3) return waypoints.slice();
+
+  const get = (i) =>
+    loop ? waypoints[(i + n) % n] : waypoints[Math.min(Math.max(i, 0), n - 1)];
+  const sections = loop ? n : n - 1;
+  const points = [];
+  for (let i = 0; i < sections; i++) {
+    const [p0, p1, p2, p3] = [get(i - 1), get(i), get(i + 1), get(i + 2)];
+    for (let j = 0; j < resolution; j++) {
+      const t = j / resolution;
+      const t2 = t * t;
+      const t3 = t2 * t;
+      const coord = (c) =>
+        0.5 *
+        (2 * p1[c] +
+          (p2[c] - p0[c]) * t +
+          (2 * p0[c] - 5 * p1[c] + 4 * p2[c] - p3[c]) * t2 +
+          (3 * p1[c] - p0[c] - 3 * p2[c] + p3[c]) * t3);
+      points.push(new Vector2D(coord("x"), coord("y")));
+    }
+  }
+  if (!loop) points.push(Vector2D.fromVec2D(waypoints[n - 1]));
+  return points;
+}
+
+export { Path };
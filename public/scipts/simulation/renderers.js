@@ -0,0 +1,511 @@
+import { ObstacleType } from "./obstacles.js";
+import { Vector2D } from "./utils.js";
+
+/**
+ * Samples the flow fields of a simulation on a regular grid over the visible area.
+ * @param {Simulation} simulation - The simulation.
+ * @param {number} spacing - The distance between the samples.
+ * @returns {Array<{ from: Vector2D, to: Vector2D, left: Vector2D, right: Vector2D }>} The arrows with the points of their heads, scaled to the strongest sample.
+ */
+function getFlowArrows(simulation, spacing) {
+  const { width, height, margin } = simulation.boundaries;
+  const samples = [];
+  let maxMagnitude = 0;
+  for (let y = spacing / 2; y < height - margin * 2; y += spacing) {
+    for (let x = spacing / 2; x < width - margin * 2; x += spacing) {
+      const pos = new Vector2D(x, y);
+      const force = simulation.sampleFlow(pos);
+      maxMagnitude = Math.max(maxMagnitude, force.magnitude);
+      samples.push({ pos, force });
+    }
+  }
+  if (maxMagnitude === 0) return [];
+
+  return samples
+    .filter(({ force }) => force.magnitude > 0)
+    .map(({ pos, force }) => {
+      const length = (spacing * 0.8 * force.magnitude) / maxMagnitude;
+      const angle = force.angle;
+      const to = Vector2D.addPolar(pos, length, angle);
+      const head = Math.min(6, length / 2);
+      return {
+        from: pos,
+        to,
+        left: Vector2D.addPolar(to, head, angle + Math.PI * 0.8),
+        right: Vector2D.addPolar(to, head, angle - Math.PI * 0.8),
+      };
+    });
+}
+
+/**
+ * Renders a simulation with Pixi.js. The simulation itself has no knowledge of PIXI,
+ * graphics for the animals are created lazily when they first appear in the flock.
+ * @class
+ */
+class PixiRenderer {
+  /**
+   * Creates an instance of PixiRenderer.
+   * @param {Simulation} simulation - The simulation to render.
+   */
+  constructor(simulation) {
+    this.simulation = simulation;
+    this.obstaclesContainer = new PIXI.Container();
+    this.foodContainer = new PIXI.Container();
+    this.graphicContainer = new PIXI.Container();
+    this.riplesContainer = new PIXI.Container();
+    this.riplesObjects = [];
+    /** @type {Map<Obstacle, PIXI.Graphics>} */
+    this.obstacleGraphics = new Map();
+    /** @type {Map<Food, PIXI.Graphics>} */
+    this.foodGraphics = new Map();
+    this.flowGraphics = new PIXI.Graphics();
+    this.showFlowFields = false;
+    this.flowArrowSpacing = 40;
+    /** @type {Camera|undefined} */
+    this.camera = undefined;
+    /** @type {PIXI.Container|undefined} */
+    this.stage = undefined;
+  }
+
+  /**
+   * Initializes the Pixi.js graphics for the boid visuals and ripple effects, and attaches them to the given stage.
+   *
+   * @param {PIXI.Container} stage - The Pixi.js stage to which the graphics containers will be attached.
+   */
+  attach(stage) {
+    this.stage = stage;
+    this.syncAnimals();
+    this.syncObstacles();
+    this.syncFood();
+    this.initPixiRiples();
+
+    stage.addChild(this.obstaclesContainer);
+    stage.addChild(this.flowGraphics);
+    stage.addChild(this.foodContainer);
+    stage.addChild(this.graphicContainer);
+    stage.addChild(this.riplesContainer);
+  }
+
+  /**
+   * Creates the Pixi.js graphics for the animals which do not have them yet, e.g. added after the renderer was attached.
+   * Graphics of removed animals are destroyed together with the animal.
+   */
+  syncAnimals() {
+    this.simulation.boids.forEach((boid) => {
+      if (boid.animal.graphicContainer) return;
+
+      boid.animal.initPixiGrafics();
+      this.graphicContainer.addChild(boid.animal.graphicContainer);
+    });
+  }
+
+  /**
+   * Creates the Pixi.js graphics for new obstacles and destroys the ones of removed obstacles.
+   */
+  syncObstacles() {
+    const obstacles = this.simulation.obstacles;
+    this.obstacleGraphics.forEach((graphics, obstacle) => {
+      if (obstacles.includes(obstacle)) return;
+
+      graphics.destroy();
+      this.obstacleGraphics.delete(obstacle);
+    });
+
+    obstacles.forEach((obstacle) => {
+      if (this.obstacleGraphics.has(obstacle)) return;
+
+      const graphics = new PIXI.Graphics();
+      if (obstacle.type === ObstacleType.CIRCLE) {
+        graphics.circle(obstacle.center.x, obstacle.center.y, obstacle.radius);
+      } else {
+        graphics.poly(obstacle.points.flatMap((point) => [point.x, point.y]));
+      }
+      graphics.fill(obstacle.style.fill);
+      graphics.stroke({
+        width: obstacle.style.outlineWidth,
+        color: obstacle.style.outline,
+      });
+      graphics.visible = obstacle.visible;
+
+      this.obstaclesContainer.addChild(graphics);
+      this.obstacleGraphics.set(obstacle, graphics);
+    });
+  }
+
+  /**
+   * Creates the Pixi.js graphics for new food pellets and destroys the ones of eaten pellets.
+   */
+  syncFood() {
+    const food = this.simulation.food;
+    if (food.length === 0 && this.foodGraphics.size === 0) return;
+
+    const current = new Set(food);
+    this.foodGraphics.forEach((graphics, pellet) => {
+      if (current.has(pellet)) return;
+
+      graphics.destroy();
+      this.foodGraphics.delete(pellet);
+    });
+
+    food.forEach((pellet) => {
+      if (this.foodGraphics.has(pellet)) return;
+
+      const graphics = new PIXI.Graphics();
+      graphics.circle(pellet.pos.x, pellet.pos.y, pellet.radius);
+      graphics.fill(pellet.color);
+
+      this.foodContainer.addChild(graphics);
+      this.foodGraphics.set(pellet, graphics);
+    });
+  }
+
+  /**
+   * Redraws the debug arrows of the flow fields, or hides them if `showFlowFields` is off.
+   */
+  updateFlowFields() {
+    const graphics = this.flowGraphics;
+    graphics.visible = this.showFlowFields;
+    if (!this.showFlowFields) return;
+
+    graphics.clear();
+    getFlowArrows(this.simulation, this.flowArrowSpacing).forEach((arrow) => {
+      graphics.moveTo(arrow.from.x, arrow.from.y);
+      graphics.lineTo(arrow.to.x, arrow.to.y);
+      graphics.moveTo(arrow.left.x, arrow.left.y);
+      graphics.lineTo(arrow.to.x, arrow.to.y);
+      graphics.lineTo(arrow.right.x, arrow.right.y);
+    });
+    graphics.stroke({ width: 1, color: "#5fa8d3", alpha: 0.6 });
+  }
+
+  /**
+   * Initializes the Pixi.js graphics for the ripple effects. The rings of a slot are drawn once the slot shows a ripple.
+   */
+  initPixiRiples() {
+    const maxRipples = this.simulation.ripples.maxRipples;
+    for (let i = 0; i < maxRipples; i++) {
+      const circleContainer = new PIXI.Container();
+      this.riplesContainer.addChild(circleContainer);
+      const rplObj = {
+        container: circleContainer,
+        circles: [],
+        preset: undefined,
+      };
+      this.riplesObjects.push(rplObj);
+    }
+  }
+
+  /**
+   * Redraws the rings of a ripple slot for a preset.
+   * @param {{ container: PIXI.Container, circles: PIXI.Graphics[], preset: Object }} rplObj - The slot.
+   * @param {Object} preset - The preset of the ripple type, see {@link RipplesManager#setPreset}.
+   */
+  drawPixiRipple(rplObj, preset) {
+    rplObj.circles.forEach((c) => c.destroy());
+    rplObj.circles = [];
+    rplObj.preset = preset;
+
+    const maxRadius = preset.threshold + preset.delay / preset.divisor;
+    for (let j = 0; j < preset.startVars.length; j++) {
+      const c = new PIXI.Graphics();
+      c.circle(0, 0, maxRadius);
+      c.stroke({ width: preset.width, color: preset.color });
+      rplObj.container.addChild(c);
+      rplObj.circles.push(c);
+    }
+  }
+
+  /**
+   * Updates the Pixi.js graphics for the ripple effects based on the current simulation state.
+   */
+  updatePixiRiples() {
+    const ripples = this.simulation.ripples;
+    const positions = ripples.getPointsWithTimes(this.simulation.time);
+    for (let i = 0; i < this.riplesObjects.length; i++) {
+      const rplObj = this.riplesObjects[i];
+      if (i >= positions.length) {
+        rplObj.container.visible = false;
+      } else {
+        const rplPoint = positions[i];
+        const preset = ripples.presets[rplPoint.type];
+        if (rplObj.preset !== preset) this.drawPixiRipple(rplObj, preset);
+
+        rplObj.container.visible = true;
+        rplObj.container.position.set(rplPoint.pos.x, rplPoint.pos.y);
+
+        const maxRadius = preset.threshold + preset.delay / preset.divisor;
+        const timeToDeletion = rplPoint.time / preset.delay;
+        const radius = preset.threshold + rplPoint.time / preset.divisor;
+        for (let j = 0; j < rplObj.circles.length; j++) {
+          const ripleCrcl = rplObj.circles[j];
+          const curRadius = radius - preset.startVars[j];
+          if (curRadius < 0) {
+            ripleCrcl.alpha = 0.0;
+            continue;
+          }
+          ripleCrcl.scale = curRadius / maxRadius;
+
+          const alpha =
+            Math.pow(1 - curRadius / maxRadius, 2) *
+            Math.pow(1 - timeToDeletion, 0.2);
+          ripleCrcl.alpha = alpha;
+        }
+      }
+    }
+  }
+
+  /**
+   * Moves, scales and rotates the stage for the camera, if there is one.
+   */
+  applyCamera() {
+    const camera = this.camera;
+    if (!camera || !this.stage) return;
+
+    this.stage.pivot.set(camera.x, camera.y);
+    this.stage.position.set(camera.width / 2, camera.height / 2);
+    this.stage.scale.set(camera.zoom);
+    this.stage.rotation = camera.rotation;
+  }
+
+  /**
+   * Updates the Pixi.js graphics for the boid visuals based on the current simulation state.
+   */
+  updatePixiGrafics() {
+    this.simulation.boids.forEach((boid) => {
+      boid.animal.updatePixiGrafics();
+    });
+  }
+
+  /**
+   * Draws the current simulation state.
+   */
+  render() {
+    this.applyCamera();
+    this.syncObstacles();
+    this.updateFlowFields();
+    this.syncFood();
+    this.syncAnimals();
+    this.updatePixiGrafics();
+    this.updatePixiRiples();
+  }
+}
+
+/**
+ * Renders a simulation with the Canvas 2D API.
+ * @class
+ */
+class CanvasRenderer {
+  /**
+   * Creates an instance of CanvasRenderer.
+   * @param {Simulation} simulation - The simulation to render.
+   * @param {CanvasRenderingContext2D} ctx - The 2D rendering context of the canvas.
+   */
+  constructor(simulation, ctx) {
+    this.simulation = simulation;
+    this.ctx = ctx;
+    this.showFlowFields = false;
+    this.flowArrowSpacing = 40;
+    /** @type {Camera|undefined} */
+    this.camera = undefined;
+  }
+
+  /**
+   * Clears the canvas and draws the current simulation state, seen through the camera if there is one.
+   */
+  render() {
+    const ctx = this.ctx;
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+    if (this.camera) ctx.setTransform(...this.camera.getTransform());
+
+    this.displayObstacles();
+    if (this.showFlowFields) this.displayFlowFields();
+    this.displayFood();
+    this.displayAnimal();
+    this.displayRipples();
+    // this.displaySimple();
+  }
+
+  /**
+   * Displays the visible obstacles.
+   */
+  displayObstacles() {
+    const ctx = this.ctx;
+    this.simulation.obstacles.forEach((obstacle) => {
+      if (!obstacle.visible) return;
+
+      ctx.beginPath();
+      if (obstacle.type === ObstacleType.CIRCLE) {
+        ctx.arc(
+          obstacle.center.x,
+          obstacle.center.y,
+          obstacle.radius,
+          0,
+          Math.PI * 2
+        );
+      } else {
+        obstacle.points.forEach((point, i) => {
+          if (i === 0) ctx.moveTo(point.x, point.y);
+          else ctx.lineTo(point.x, point.y);
+        });
+      }
+      ctx.closePath();
+      ctx.fillStyle = obstacle.style.fill;
+      ctx.fill();
+      ctx.strokeStyle = obstacle.style.outline;
+      ctx.lineWidth = obstacle.style.outlineWidth;
+      ctx.stroke();
+    });
+  }
+
+  /**
+   * Displays the debug arrows of the flow fields.
+   */
+  displayFlowFields() {
+    const ctx = this.ctx;
+    ctx.beginPath();
+    getFlowArrows(this.simulation, this.flowArrowSpacing).forEach((arrow) => {
+      ctx.moveTo(arrow.from.x, arrow.from.y);
+      ctx.lineTo(arrow.to.x, arrow.to.y);
+      ctx.moveTo(arrow.left.x, arrow.left.y);
+      ctx.lineTo(arrow.to.x, arrow.to.y);
+      ctx.lineTo(arrow.right.x, arrow.right.y);
+    });
+    ctx.strokeStyle = "rgba(95, 168, 211, 0.6)";
+    ctx.lineWidth = 1;
+    ctx.stroke();
+  }
+
+  /**
+   * Displays the food pellets.
+   */
+  displayFood() {
+    const ctx = this.ctx;
+    this.simulation.food.forEach((pellet) => {
+      ctx.beginPath();
+      ctx.arc(pellet.pos.x, pellet.pos.y, pellet.radius, 0, Math.PI * 2);
+      ctx.fillStyle = pellet.color;
+      ctx.fill();
+      ctx.closePath();
+    });
+  }
+
+  /**
+   * Displays the boids using their animal visuals.
+   */
+  displayAnimal() {
+    this.simulation.boids.forEach((boid) => {
+      if (typeof boid.animal === "undefined") {
+        this.displayBoidSimple(boid);
+        return;
+      }
+
+      boid.animal.display(this.ctx);
+    });
+  }
+
+  /**
+   * Displays the boids with simple shapes and the ripple circles.
+   */
+  displaySimple() {
+    const ctx = this.ctx;
+    this.simulation.boids.forEach((boid) => {
+      this.displayBoidSimple(boid);
+    });
+
+    ctx.strokeStyle = "yellow";
+    ctx.lineWidth = 2;
+    const time = this.simulation.time;
+    this.simulation.ripples.getPointsWithTimes(time).forEach((point) => {
+      ctx.beginPath();
+      ctx.arc(
+        point.pos.x,
+        point.pos.y,
+        this.simulation.params.mouseForceRadius,
+        0,
+        Math.PI * 2
+      );
+      ctx.stroke();
+      ctx.closePath();
+    });
+  }
+
+  /**
+   * Displays a boid with a simple representation, and the skeleton of its animal if defined.
+   * @param {Boid} boid - The boid to display.
+   */
+  displayBoidSimple(boid) {
+    const ctx = this.ctx;
+    if (boid.animal) boid.animal.displaySkeleton(ctx);
+
+    const size = 20;
+    const vecSize = 40;
+    const angle = boid.velocity.angle;
+
+    const pVec = Vector2D.addPolar(boid.position, vecSize, angle);
+    const p1 = Vector2D.addPolar(boid.position, size, angle);
+    const p2 = Vector2D.addPolar(boid.position, size, angle + Math.PI / 1.3);
+    const p3 = Vector2D.addPolar(boid.position, size, angle - Math.PI / 1.3);
+
+    ctx.beginPath();
+    ctx.moveTo(p1.x, p1.y);
+    ctx.lineTo(p2.x, p2.y);
+    ctx.lineTo(p3.x, p3.y);
+    ctx.closePath();
+    ctx.strokeStyle = "white";
+    ctx.lineWidth = 2;
+    ctx.stroke();
+    ctx.fillStyle = "#8b99b0";
+    ctx.fill();
+
+    ctx.beginPath();
+    ctx.moveTo(boid.position.x, boid.position.y);
+    ctx.lineTo(pVec.x, pVec.y);
+    ctx.closePath();
+    ctx.strokeStyle = "lime";
+    ctx.lineWidth = 2;
+    ctx.stroke();
+
+    ctx.beginPath();
+    ctx.arc(boid.position.x, boid.position.y, 3, 0, Math.PI * 2);
+    ctx.fillStyle = "red";
+    ctx.fill();
+    ctx.closePath();
+  }
+
+  /**
+   * Displays the ripple effects based on the points' elapsed time and the presets of their types.
+   */
+  displayRipples() {
+    const ctx = this.ctx;
+    const ripples = this.simulation.ripples;
+
+    ripples.getPointsWithTimes(this.simulation.time).forEach((point) => {
+      const preset = ripples.presets[point.type];
+      const { divisor, threshold, startVars, delay } = preset;
+      if (point.time < delay) {
+        const maxRadius = threshold + delay / divisor;
+        const timeToDeletion = point.time / delay;
+        const radius = threshold + point.time / divisor;
+
+        ctx.strokeStyle = preset.color;
+        for (let i = 0; i < startVars.length; i++) {
+          const curRadius = radius - startVars[i];
+          if (curRadius < 0) continue;
+          // the stroke thins like the scaled rings of the Pixi renderer
+          ctx.lineWidth = (preset.width * curRadius) / maxRadius;
+          ctx.globalAlpha =
+            Math.pow(1 - curRadius / maxRadius, 2) *
+            Math.pow(1 - timeToDeletion, 0.2);
+          ctx.beginPath();
+          ctx.arc(point.pos.x, point.pos.y, curRadius, 0, Math.PI * 2);
+          ctx.stroke();
+          ctx.closePath();
+        }
+      }
+    });
+    ctx.globalAlpha = 1;
+  }
+}
+
+export { PixiRenderer, CanvasRenderer };
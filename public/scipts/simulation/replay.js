@@ -0,0 +1,152 @@
+/**
+ * Records a run as a snapshot of the starting state and the inputs sent to the simulation, see {@link SimulationWrapper#callSimulation}.
+ * With a seeded simulation the same inputs at the same steps reproduce the run exactly.
+ * @class
+ */
+class Recorder {
+  /**
+   * Creates an instance of Recorder. The simulation is restored from its own snapshot,
+   * so the live run starts from exactly the state a replay starts from.
+   * @param {Simulation} simulation - The simulation to record.
+   * @param {number} deltaTime - The delta time of every step, see {@link FixedTimestep#timeStep}.
+   */
+  constructor(simulation, deltaTime) {
+    const snapshot = simulation.toJSON();
+    // unseeded runs get a seed, otherwise they could not be reproduced
+    if (typeof snapshot.seed === "undefined") {
+      snapshot.seed = Math.floor(Math.random() * 4294967296);
+    }
+    simulation.restore(snapshot);
+
+    this.snapshot = JSON.parse(JSON.stringify(snapshot));
+    this.deltaTime = deltaTime;
+    this.steps = 0;
+    /** @type {Array<{ step: number, method: string, args: Array }>} */
+    this.inputs = [];
+  }
+
+  /**
+   * Records a call of a simulation method before the current step.
+   * @param {string} method - The name of the `Simulation` method.
+   * @param {Array} args - The arguments, copied as JSON.
+   */
+  record(method, args) {
+    this.inputs.push({
+      step: this.steps,
+      method,
+      args: JSON.parse(JSON.stringify(args)),
+    });
+  }
+
+  /**
+   * Counts a simulation step. Should be called after each step of the recorded simulation.
+   */
+  tick() {
+    this.steps++;
+  }
+
+  /**
+   * Finishes the recording.
+   * @returns {{ version: number, deltaTime: number, steps: number, snapshot: Object, inputs: Array<{ step: number, method: string, args: Array }> }} The recording, plain data which can be stored as JSON.
+   */
+  finish() {
+    return {
+      version: 1,
+      deltaTime: this.deltaTime,
+      steps: this.steps,
+      snapshot: this.snapshot,
+      inputs: this.inputs,
+    };
+  }
+}
+
+/**
+ * Plays a recording back on a simulation, with pause, scrubbing and speed.
+ * @class
+ */
+class Replay {
+  /**
+   * Creates an instance of Replay and restores the starting state of the recording.
+   * @param {Simulation} simulation - The simulation to play the recording on. Its state is replaced.
+   * @param {Object} recording - The recording of {@link Recorder#finish}.
+   */
+  constructor(simulation, recording) {
+    this.simulation = simulation;
+    this.recording = recording;
+    this.isPlaying = true;
+    this.speed = 1;
+    // fraction of a step left over at speeds other than 1
+    this.carry = 0;
+    this.rewind();
+  }
+
+  /**
+   * The number of steps of the recording.
+   * @returns {number} The length.
+   */
+  get length() {
+    return this.recording.steps;
+  }
+
+  /**
+   * Whether the replay reached the end of the recording.
+   * @returns {boolean} `true` at the end.
+   */
+  get isFinished() {
+    return this.step >= this.length;
+  }
+
+  /**
+   * Restores the starting state of the recording.
+   */
+  rewind() {
+    this.simulation.restore(this.recording.snapshot);
+    this.step = 0;
+    this.nextInput = 0;
+    this.carry = 0;
+  }
+
+  /**
+   * Runs one recorded step: applies the inputs of the step and updates the simulation.
+   */
+  tick() {
+    const inputs = this.recording.inputs;
+    while (
+      this.nextInput < inputs.length &&
+      inputs[this.nextInput].step <= this.step
+    ) {
+      const { method, args } = inputs[this.nextInput++];
+      this.simulation[method](...args);
+    }
+
+    this.simulation.savePreviousState();
+    this.simulation.update(this.recording.deltaTime);
+    this.step++;
+  }
+
+  /**
+   * Advances the replay by one fixed step of real time, scaled by `speed`. Stops at the end of the recording.
+   */
+  advance() {
+    if (!this.isPlaying) return;
+
+    this.carry += this.speed;
+    while (this.carry >= 1 && !this.isFinished) {
+      this.tick();
+      this.carry -= 1;
+    }
+    if (this.isFinished) this.isPlaying = false;
+  }
+
+  /**
+   * Jumps to a step. Going back restores the starting state and runs the steps again.
+   * @param {number} step - The step, clamped to the recording.
+   */
+  seek(step) {
+    step = Math.max(0, Math.min(Math.floor(step), this.length));
+    if (step < this.step) this.rewind();
+    while (this.step < step) this.tick();
+  }
+}
+
+export { Recorder, Replay };
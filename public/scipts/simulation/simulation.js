@@ -1,5 +1,35 @@
 import { AnimalType, BodyBase, Fish, Lizard, Snake } from "./animals.js";
-import { getMousePos, Vector2D } from "./utils.js";
+import { Attractor } from "./attractors.js";
+import { Camera } from "./camera.js";
+import { createFlowField, FlowFieldType } from "./fields.js";
+import { Food } from "./food.js";
+import { Formation, FormationType, LeaderMode } from "./formations.js";
+import { Genome } from "./genome.js";
+import { Obstacle } from "./obstacles.js";
+import { Path } from "./paths.js";
+import { CanvasRenderer, PixiRenderer } from "./renderers.js";
+import { Recorder, Replay } from "./replay.js";
+import { SpatialHashGrid } from "./spatial.js";
+import { FixedTimestep } from "./timestep.js";
+import { getMousePos, seededRandom, Vector2D } from "./utils.js";
+
+/**
+ * Converts real time at 60 fps to simulation time, which counts frames of 60 fps.
+ * @param {number} milliseconds - The time in milliseconds.
+ * @returns {number} The simulation time.
+ */
+function millisecondsToTime(milliseconds) {
+  return (milliseconds * 60) / 1000;
+}
+
+/**
+ * Converts simulation time to real time at 60 fps, see {@link millisecondsToTime}.
+ * @param {number} time - The simulation time.
+ * @returns {number} The time in milliseconds.
+ */
+function timeToMilliseconds(time) {
+  return (time * 1000) / 60;
+}
 
 /**
  * Represents the parameters for a simulation, including forces and constraints.
@@ -14,8 +44,44 @@ class SimulationParams {
    * @param {number} [avoidanceImpact=1] - The impact factor for avoidance behavior.
    * @param {number} [mouseForceRadius=150] - The radius within which the mouse exerts a force.
    * @param {number} [mouseForceScale=100] - The scale of the force applied by the mouse.
-   * @param {number} [maxVelocity=8] - The maximum velocity of entities.
+   * @param {number} [maxVelocity=8] - The maximum velocity of entities, varied per animal by `speedVariance`.
    * @param {number} [maxAcceleration=1] - The maximum acceleration of entities.
+   * @param {number} [fearRadius=150] - The radius within which prey notice predators.
+   * @param {number} [fleeImpact=2] - The impact factor for fleeing from predators.
+   * @param {number} [huntRadius=300] - The radius within which predators look for prey.
+   * @param {number} [pursuitImpact=1] - The impact factor for pursuing prey.
+   * @param {number} [catchRadius=15] - The distance at which a predator catches its prey.
+   * @param {number} [obstacleLookAhead=60] - How far ahead boids look for obstacles.
+   * @param {number} [obstacleMargin=20] - The distance to obstacles boids try to keep.
+   * @param {number} [obstacleImpact=3] - The impact factor for obstacle avoidance.
+   * @param {number} [containImpact=1] - The impact factor for turning away from the walls with `BoundaryMode.CONTAIN`.
+   * @param {number} [fieldOfView=Math.PI * 2] - The angle in radians around the heading within which boids see their flockmates. The full circle sees neighbours behind too.
+   * @param {number} [distanceFalloff=0] - How much the influence of flockmates fades with distance, from `0` (equal influence) to `1` (no influence at `perceptionRadius`).
+   * @param {number} [energyDrain=0.0005] - The energy boids lose per step with the ecology enabled, the full energy is `1`.
+   * @param {number} [speedEnergyDrain=0.0003] - The additional energy boids lose per step and unit of speed.
+   * @param {number} [foodRadius=200] - The radius within which boids notice food.
+   * @param {number} [foodImpact=2] - The impact factor for seeking food of a starving boid. Scaled down as the energy grows.
+   * @param {number} [eatRadius=12] - The distance at which a boid of scale `1` eats a pellet.
+   * @param {number} [growthPerFood=0.05] - The growth of the animal scale per eaten pellet, relative to its initial scale.
+   * @param {number} [maxGrowth=1.6] - The maximum scale of the animal relative to its initial scale.
+   * @param {number} [mateRadius=20] - The distance at which two well-fed boids of a scale `1` mate.
+   * @param {number} [mateEnergy=0.8] - The minimum energy of both parents for mating.
+   * @param {number} [mateCost=0.35] - The energy each parent spends on an offspring.
+   * @param {number} [mateCooldown=600] - The number of steps before a parent can mate again.
+   * @param {number} [mutationRate=0.1] - The chance of every gene of an offspring to mutate.
+   * @param {number} [mutationAmount=0.1] - The maximum relative change of a mutated gene.
+   * @param {number} [pathImpact=1] - The impact factor for following an assigned path.
+   * @param {number} [pathLookAhead=40] - How far ahead along the path boids steer.
+   * @param {number} [formationImpact=1.5] - The impact factor for followers keeping their slot in a formation.
+   * @param {number} [arriveRadius=80] - The distance at which arriving boids start to slow down, e.g. followers close to their slot.
+   * @param {number} [wanderImpact=0] - The impact factor for wandering, `0` lets boids without neighbours fly straight.
+   * @param {number} [wanderJitter=0.3] - The maximum change of the wander direction per step in radians.
+   * @param {number} [wanderRadius=30] - The radius of the wander circle.
+   * @param {number} [wanderDistance=60] - The distance of the wander circle ahead of the boid.
+   * @param {number} [cruiseSpeedRatio=1] - The speed of relaxed boids relative to their top speed. Flocking and wandering steer to it, fleeing, hunting and avoiding steer to the top speed.
+   * @param {number} [minSpeedRatio=0] - The minimum speed relative to the top speed. Members of a formation may always slow down to a stop.
+   * @param {number} [speedVariance=0] - The maximum relative difference of the top speed of an animal from `maxVelocity`.
+   * @param {number} [speedScaleImpact=0] - How much the top speed depends on the animal scale, `1` makes an animal twice as large half as fast.
    */
   constructor(
     perceptionRadius = 50,
@@ -25,7 +91,43 @@ class SimulationParams {
     mouseForceRadius = 150,
     mouseForceScale = 100,
     maxVelocity = 8,
-    maxAcceleration = 1
+    maxAcceleration = 1,
+    fearRadius = 150,
+    fleeImpact = 2,
+    huntRadius = 300,
+    pursuitImpact = 1,
+    catchRadius = 15,
+    obstacleLookAhead = 60,
+    obstacleMargin = 20,
+    obstacleImpact = 3,
+    containImpact = 1,
+    fieldOfView = Math.PI * 2,
+    distanceFalloff = 0,
+    energyDrain = 0.0005,
+    speedEnergyDrain = 0.0003,
+    foodRadius = 200,
+    foodImpact = 2,
+    eatRadius = 12,
+    growthPerFood = 0.05,
+    maxGrowth = 1.6,
+    mateRadius = 20,
+    mateEnergy = 0.8,
+    mateCost = 0.35,
+    mateCooldown = 600,
+    mutationRate = 0.1,
+    mutationAmount = 0.1,
+    pathImpact = 1,
+    pathLookAhead = 40,
+    formationImpact = 1.5,
+    arriveRadius = 80,
+    wanderImpact = 0,
+    wanderJitter = 0.3,
+    wanderRadius = 30,
+    wanderDistance = 60,
+    cruiseSpeedRatio = 1,
+    minSpeedRatio = 0,
+    speedVariance = 0,
+    speedScaleImpact = 0
   ) {
     this.perceptionRadius = perceptionRadius;
     this.alignmentImpact = alignmentImpact;
@@ -35,6 +137,42 @@ class SimulationParams {
     this.mouseForceScale = mouseForceScale;
     this.maxVelocity = maxVelocity;
     this.maxAcceleration = maxAcceleration;
+    this.fearRadius = fearRadius;
+    this.fleeImpact = fleeImpact;
+    this.huntRadius = huntRadius;
+    this.pursuitImpact = pursuitImpact;
+    this.catchRadius = catchRadius;
+    this.obstacleLookAhead = obstacleLookAhead;
+    this.obstacleMargin = obstacleMargin;
+    this.obstacleImpact = obstacleImpact;
+    this.containImpact = containImpact;
+    this.fieldOfView = fieldOfView;
+    this.distanceFalloff = distanceFalloff;
+    this.energyDrain = energyDrain;
+    this.speedEnergyDrain = speedEnergyDrain;
+    this.foodRadius = foodRadius;
+    this.foodImpact = foodImpact;
+    this.eatRadius = eatRadius;
+    this.growthPerFood = growthPerFood;
+    this.maxGrowth = maxGrowth;
+    this.mateRadius = mateRadius;
+    this.mateEnergy = mateEnergy;
+    this.mateCost = mateCost;
+    this.mateCooldown = mateCooldown;
+    this.mutationRate = mutationRate;
+    this.mutationAmount = mutationAmount;
+    this.pathImpact = pathImpact;
+    this.pathLookAhead = pathLookAhead;
+    this.formationImpact = formationImpact;
+    this.arriveRadius = arriveRadius;
+    this.wanderImpact = wanderImpact;
+    this.wanderJitter = wanderJitter;
+    this.wanderRadius = wanderRadius;
+    this.wanderDistance = wanderDistance;
+    this.cruiseSpeedRatio = cruiseSpeedRatio;
+    this.minSpeedRatio = minSpeedRatio;
+    this.speedVariance = speedVariance;
+    this.speedScaleImpact = speedScaleImpact;
   }
 
   /**
@@ -61,6 +199,93 @@ const PositionType = Object.freeze({
   ZERO: "zero",
 });
 
+/**
+ * Enum-like object for specifying what happens to boids at the boundaries of the simulation area.
+ * @readonly
+ * @enum {string}
+ */
+const BoundaryMode = Object.freeze({
+  /** Boids leaving the area appear on the opposite side. */
+  WRAP: "wrap",
+  /** Boids are reflected by the borders of the area. */
+  BOUNCE: "bounce",
+  /** Boids turn away from the borders inside of `boundaries.margin`. */
+  CONTAIN: "contain",
+});
+
+/**
+ * Enum-like object for specifying the role of a boid in the simulation.
+ * @readonly
+ * @enum {string}
+ */
+const BoidRole = Object.freeze({
+  PREY: "prey",
+  PREDATOR: "predator",
+});
+
+/**
+ * Enum-like object for specifying what happens to prey caught by a predator.
+ * @readonly
+ * @enum {string}
+ */
+const CatchBehaviour = Object.freeze({
+  NONE: "none",
+  REMOVE: "remove",
+  RESPAWN: "respawn",
+});
+
+/**
+ * Enum-like object for specifying what a ripple does to the animals it reaches.
+ * @readonly
+ * @enum {string}
+ */
+const RippleType = Object.freeze({
+  /** Pushes the animals away from its center. */
+  REPEL: "repel",
+  /** Pulls the animals to its center. */
+  ATTRACT: "attract",
+  /** Freezes the animals for a moment. */
+  STUN: "stun",
+});
+
+/**
+ * A species group of the flock. Boids flock only with boids of their own group.
+ * @class
+ */
+class SpeciesGroup {
+  /**
+   * Creates an instance of SpeciesGroup.
+   * @param {number} id - The identifier of the group.
+   * @param {AnimalType} animalType - The type of animal of the group. See {@link AnimalType}.
+   * @param {SimulationParams} params - The parameters for the behaviour of the group.
+   * @param {[number, number]} [sizesRange=[1, 1]] - The range for the sizes of the animals.
+   * @param {{ fill: string, outline: string, outlineWidth: number, eyesColor: string }} [style={ fill: "random", outline: "white", outlineWidth: 1.5, eyesColor: "white" }] - The style settings for the animals.
+   * @param {boolean} [avoidOthers=false] - Whether the boids keep their distance to boids of other groups.
+   */
+  constructor(
+    id,
+    animalType,
+    params,
+    sizesRange = [1, 1],
+    style = {
+      fill: "random",
+      outline: "white",
+      outlineWidth: 1.5,
+      eyesColor: "white",
+    },
+    avoidOthers = false
+  ) {
+    this.id = id;
+    this.animalType = animalType;
+    this.params = params;
+    this.sizesRange = sizesRange;
+    this.style = JSON.parse(JSON.stringify(style));
+    this.avoidOthers = avoidOthers;
+    /** @type {Path|undefined} */
+    this.path = undefined;
+  }
+}
+
 /**
  * Represents an individual boid in the simulation.
  * @class
@@ -74,6 +299,7 @@ class Boid {
    * @param {number} [top=0] - The y-coordinate of the simulation area's top boundary.
    * @param {Animal} [animal=undefined] - An optional animal object to be associated with this boid.
    * @param {PositionType} [initialPos=PositionType.RANDOM] - Initial position to set. If undefined, automatically set to be random.
+   * @param {() => number} [random=Math.random] - The source of random numbers for the initial position and velocity.
    */
   constructor(
     width,
@@ -81,83 +307,108 @@ class Boid {
     left = 0,
     top = 0,
     animal = undefined,
-    initialPos = PositionType.RANDOM
+    initialPos = PositionType.RANDOM,
+    random = Math.random
   ) {
     let x = 0;
     let y = 0;
     switch (initialPos) {
       case PositionType.ZERO:
-        x = Math.random();
-        y = Math.random();
+        x = random();
+        y = random();
         break;
       case PositionType.SIDES:
-        if (Math.random() > 0.5) {
-          x = left + Math.random() * width;
-          y = Math.random() > 0.5 ? top : height;
+        if (random() > 0.5) {
+          x = left + random() * width;
+          y = random() > 0.5 ? top : height;
         } else {
-          x = Math.random() > 0.5 ? left : width;
-          y = top + Math.random() * height;
+          x = random() > 0.5 ? left : width;
+          y = top + random() * height;
         }
         break;
       case PositionType.RANDOM:
       default:
-        x = left + Math.random() * width;
-        y = top + Math.random() * height;
+        x = left + random() * width;
+        y = top + random() * height;
         break;
     }
     this.position = new Vector2D(x, y);
 
-    this.velocity = Vector2D.random(0.75 + Math.random());
+    this.velocity = Vector2D.random(0.75 + random(), 0, random);
 
     this.acceleration = Vector2D.Zero;
 
+    // unique within the simulation, assigned by `Simulation.createBoid`
+    this.id = -1;
     this.animal = animal;
+    this.role = BoidRole.PREY;
+    /** @type {SpeciesGroup|undefined} */
+    this.group = undefined;
+    // energy of the ecology layer, from 0 (starving) to 1 (well-fed)
+    this.energy = 1;
+    this.baseScale = animal ? animal.scale : 1;
+    /** @type {Genome|undefined} */
+    this.genome = undefined;
+    // steps until the boid can mate again
+    this.mateCooldown = 0;
+    /** @type {Path|undefined} */
+    this.path = undefined;
+    // how far the boid has travelled along an open path, starts over when the path changes
+    /** @type {{ path: Path, along: number }|undefined} */
+    this.pathProgress = undefined;
+    /** @type {Formation|undefined} */
+    this.formation = undefined;
+    // direction of the wander target on the wander circle, relative to the heading
+    this.wanderAngle = random() * Math.PI * 2;
+    // from -1 to 1, scaled by `speedVariance` for the top speed of this boid
+    this.speedVariation = random() * 2 - 1;
+    // simulation time the boid stays frozen by a stun ripple
+    this.stunTime = 0;
+  }
+
+  /**
+   * Whether the boid holds a slot in a formation behind a leader.
+   * @returns {boolean} `true` for followers, `false` for leaders and boids without formation.
+   */
+  get isFollower() {
+    return !!this.formation && this.formation.leader !== this;
+  }
+
+  /**
+   * Calculates the top speed of the boid: `maxVelocity` varied by `speedVariance` and by the animal scale with `speedScaleImpact`.
+   * @param {SimulationParams} params - The simulation parameters.
+   * @returns {number} The top speed.
+   */
+  maxSpeed(params) {
+    const scale = typeof this.animal !== "undefined" ? this.animal.scale : 1;
+    return (
+      params.maxVelocity *
+      (1 + this.speedVariation * params.speedVariance) *
+      Math.pow(scale, -params.speedScaleImpact)
+    );
+  }
+
+  /**
+   * Calculates the speed of the relaxed boid.
+   * @param {SimulationParams} params - The simulation parameters.
+   * @returns {number} The cruise speed.
+   */
+  cruiseSpeed(params) {
+    return this.maxSpeed(params) * params.cruiseSpeedRatio;
   }
 
   /**
-   * Displays the boid with a simple representation if no animal is defined.
+   * Displays the boid with a simple representation, and the skeleton of its animal if defined.
+   * @deprecated Drawing moved to {@link CanvasRenderer#displayBoidSimple}.
    * @param {CanvasRenderingContext2D} ctx - The 2D drawing context of the canvas.
    */
   displaySimple(ctx) {
-    if (this.animal) this.animal.displaySkeleton(ctx);
-
-    const size = 20;
-    const vecSize = 40;
-    const angle = this.velocity.angle;
-
-    const pVec = Vector2D.addPolar(this.position, vecSize, angle);
-    const p1 = Vector2D.addPolar(this.position, size, angle);
-    const p2 = Vector2D.addPolar(this.position, size, angle + Math.PI / 1.3);
-    const p3 = Vector2D.addPolar(this.position, size, angle - Math.PI / 1.3);
-
-    ctx.beginPath();
-    ctx.moveTo(p1.x, p1.y);
-    ctx.lineTo(p2.x, p2.y);
-    ctx.lineTo(p3.x, p3.y);
-    ctx.closePath();
-    ctx.strokeStyle = "white";
-    ctx.lineWidth = 2;
-    ctx.stroke();
-    ctx.fillStyle = "#8b99b0";
-    ctx.fill();
-
-    ctx.beginPath();
-    ctx.moveTo(this.position.x, this.position.y);
-    ctx.lineTo(pVec.x, pVec.y);
-    ctx.closePath();
-    ctx.strokeStyle = "lime";
-    ctx.lineWidth = 2;
-    ctx.stroke();
-
-    ctx.beginPath();
-    ctx.arc(this.position.x, this.position.y, 3, 0, Math.PI * 2);
-    ctx.fillStyle = "red";
-    ctx.fill();
-    ctx.closePath();
+    new CanvasRenderer(undefined, ctx).displayBoidSimple(this);
   }
 
   /**
    * Displays the boid, using its animal representation if defined.
+   * @deprecated Drawing moved to {@link CanvasRenderer#displayAnimal}.
    * @param {CanvasRenderingContext2D} ctx - The 2D drawing context of the canvas.
    */
   displayAnimal(ctx) {
@@ -171,15 +422,53 @@ class Boid {
 
   /**
    * Updates the boid's position and velocity based on its acceleration.
-   * @param {number} deltaTime - The time elapsed since the last update.
+   * Both are integrated over `deltaTime`, so the flock moves the same at any number of steps per second.
+   * @param {number} deltaTime - The time elapsed since the last update, in frames of 60 fps.
    * @param {SimulationParams} params - The simulation parameters.
    */
   update(deltaTime, params) {
     if (!deltaTime) return;
+    if (this.stunTime > 0) {
+      // stunned boids hold still and keep their velocity for later
+      this.stunTime = Math.max(this.stunTime - deltaTime, 0);
+      return;
+    }
 
+    const maxSpeed = this.maxSpeed(params);
     this.position.add(Vector2D.scale(this.velocity, deltaTime));
-    this.velocity.add(this.acceleration);
-    this.velocity.clampMag(params.maxVelocity);
+    this.velocity.add(Vector2D.scale(this.acceleration, deltaTime));
+    // members of a formation arrive at their slot or the cursor and slow down to a stop,
+    // a boid at rest has no direction to speed up in
+    const minSpeed =
+      this.formation || this.velocity.magnitude === 0
+        ? 0
+        : maxSpeed * params.minSpeedRatio;
+    this.velocity.clampMag(minSpeed, maxSpeed);
+
+    if (typeof this.animal !== "undefined") {
+      this.animal.animate(
+        deltaTime,
+        this.velocity.magnitude / (maxSpeed * params.cruiseSpeedRatio)
+      );
+      this.animal.update(this.position);
+      this.animal.update(this.position);
+    }
+  }
+
+  /**
+   * Moves the boid to a position, dragging its animal along.
+   * @param {number} x - The new x coordinate.
+   * @param {number} y - The new y coordinate.
+   */
+  moveTo(x, y) {
+    if (typeof this.animal !== "undefined") {
+      const offset = new Vector2D(x - this.position.x, y - this.position.y);
+      // a jump, e.g. a wrap around the edges, moves the whole body
+      if (offset.magnitude > this.animal.spacing * this.animal.scale * 2) {
+        this.animal.translate(offset);
+      }
+    }
+    this.position.set(x, y);
 
     if (typeof this.animal !== "undefined") {
       this.animal.update(this.position);
@@ -188,43 +477,107 @@ class Boid {
   }
 
   /**
-   * Wraps the boid's position around the simulation boundaries.
+   * Keeps the boid's position within the simulation boundaries.
+   * With `BoundaryMode.WRAP` the boid and its animal are moved to the opposite side,
+   * otherwise the boid is stopped at the border and its velocity is reflected.
    * @param {Object} boundaries - The boundaries of the simulation area.
    * @param {number} boundaries.width - The width of the simulation area.
    * @param {number} boundaries.height - The height of the simulation area.
    * @param {number} boundaries.left - The x-coordinate of the simulation area's left boundary.
    * @param {number} boundaries.top - The y-coordinate of the simulation area's top boundary.
+   * @param {BoundaryMode} [mode=BoundaryMode.WRAP] - The boundary behaviour.
    */
-  edges(boundaries) {
-    if (this.position.x > boundaries.width + boundaries.left) {
-      this.position.x = boundaries.left;
+  edges(boundaries, mode = BoundaryMode.WRAP) {
+    const right = boundaries.width + boundaries.left;
+    const bottom = boundaries.height + boundaries.top;
+
+    if (mode !== BoundaryMode.WRAP) {
+      if (this.position.x > right || this.position.x < boundaries.left) {
+        this.position.x = Math.min(
+          right,
+          Math.max(boundaries.left, this.position.x)
+        );
+        this.velocity.x *= -1;
+      }
+      if (this.position.y > bottom || this.position.y < boundaries.top) {
+        this.position.y = Math.min(
+          bottom,
+          Math.max(boundaries.top, this.position.y)
+        );
+        this.velocity.y *= -1;
+      }
+      return;
+    }
+
+    const offset = Vector2D.Zero;
+    if (this.position.x > right) {
+      offset.x = boundaries.left - this.position.x;
     } else if (this.position.x < boundaries.left) {
-      this.position.x = boundaries.width + boundaries.left;
+      offset.x = right - this.position.x;
     }
 
-    if (this.position.y > boundaries.height + boundaries.top) {
-      this.position.y = boundaries.top;
+    if (this.position.y > bottom) {
+      offset.y = boundaries.top - this.position.y;
     } else if (this.position.y < boundaries.top) {
-      this.position.y = boundaries.height + boundaries.top;
+      offset.y = bottom - this.position.y;
     }
+
+    if (offset.x === 0 && offset.y === 0) return;
+    this.position.add(offset);
+    if (typeof this.animal !== "undefined") this.animal.translate(offset);
+  }
+
+  /**
+   * Calculates the force turning the boid away from the borders. The force grows from zero at
+   * `boundaries.margin` away from the outer border to full steering at the border.
+   * @param {{ width: number, height: number, left: number, top: number, margin: number }} boundaries - The boundaries of the simulation area.
+   * @param {SimulationParams} params - The simulation parameters.
+   * @returns {Vector2D} The containment force.
+   */
+  contain(boundaries, params) {
+    const margin = Math.max(1, boundaries.margin);
+    const right = boundaries.width + boundaries.left;
+    const bottom = boundaries.height + boundaries.top;
+
+    const away = new Vector2D(
+      Math.max(0, 1 - (this.position.x - boundaries.left) / margin) -
+        Math.max(0, 1 - (right - this.position.x) / margin),
+      Math.max(0, 1 - (this.position.y - boundaries.top) / margin) -
+        Math.max(0, 1 - (bottom - this.position.y) / margin)
+    );
+    const weight = Math.min(away.magnitude, 1);
+    if (weight === 0) return away;
+
+    away.magnitude = this.maxSpeed(params);
+    away.sub(this.velocity);
+    away.clampMag(params.maxAcceleration);
+    away.scale(weight);
+    return away;
   }
 
   /**
    * Calculates the boid's acceleration based on flocking behavior.
-   * @param {Boid[]} boids - The list of all boids in the simulation.
+   * @param {Array<{ boid: Boid, offset: Vector2D, distance: number }>} neighbours - The boids within perception radius, see {@link SpatialHashGrid#query}.
    * @param {SimulationParams} params - The simulation parameters.
    */
-  flock(boids, params) {
+  flock(neighbours, params) {
     this.acceleration.set(0, 0);
 
-    const alignment = this.align(boids, params);
-    const cohesion = this.cohesion(boids, params);
-    const avoidance = this.separate(boids, params);
+    const visible = this.perceive(neighbours, params);
+    const alignment = this.align(visible, params);
+    const cohesion = this.cohesion(visible, params);
+    const avoidance = this.separate(visible, params);
 
     alignment.scale(params.alignmentImpact);
     cohesion.scale(params.cohesionImpact);
     avoidance.scale(params.avoidanceImpact);
 
+    if (this.genome) {
+      alignment.scale(this.genome.alignment);
+      cohesion.scale(this.genome.cohesion);
+      avoidance.scale(this.genome.avoidance);
+    }
+
     // Adds to our acceleration force the values above
     // since we have no mass in the sistem {Force = Acceleration}
     this.acceleration.add(alignment);
@@ -232,32 +585,55 @@ class Boid {
     this.acceleration.add(avoidance);
   }
 
+  /**
+   * Filters the neighbours the boid can see within `fieldOfView` of its heading and weights them by `distanceFalloff`.
+   * @param {Array<{ boid: Boid, offset: Vector2D, distance: number }>} neighbours - The boids within perception radius.
+   * @param {SimulationParams} params - The simulation parameters.
+   * @returns {Array<{ boid: Boid, offset: Vector2D, distance: number, weight?: number }>} The visible neighbours with their weight. Without limits the neighbours are returned as they are.
+   */
+  perceive(neighbours, params) {
+    const speed = this.velocity.magnitude;
+    const minCos = Math.cos(params.fieldOfView / 2);
+    const limited = params.fieldOfView < Math.PI * 2 && speed > 0;
+    if (!limited && !params.distanceFalloff) return neighbours;
+
+    const visible = [];
+    neighbours.forEach((neighbour) => {
+      const { offset, distance } = neighbour;
+      if (limited && distance > 0) {
+        const cos = this.velocity.dot(offset) / (speed * distance);
+        if (cos < minCos) return;
+      }
+
+      const weight =
+        1 -
+        params.distanceFalloff *
+          Math.min(distance / params.perceptionRadius, 1);
+      visible.push({ ...neighbour, weight });
+    });
+    return visible;
+  }
+
   /**
    * Calculates the separation force to avoid crowding with other boids.
-   * @param {Boid[]} boids - The list of all boids in the simulation.
+   * @param {Array<{ boid: Boid, offset: Vector2D, distance: number, weight?: number }>} neighbours - The boids within perception radius, optionally weighted.
    * @param {SimulationParams} params - The simulation parameters.
    * @returns {Vector2D} The separation force.
    */
-  separate(boids, params) {
-    let perceptionRadius = params.perceptionRadius;
+  separate(neighbours, params) {
     let totalBoids = 0;
     let avoidance = new Vector2D(0, 0);
 
-    boids.forEach((boid) => {
-      let d = this.position.distance(boid.position);
-
-      if (d < perceptionRadius && boid != this) {
-        let diff = Vector2D.sub(this.position, boid.position);
-        diff.div(d);
+    neighbours.forEach(({ offset, distance, weight = 1 }) => {
+      if (distance === 0 || weight <= 0) return;
 
-        avoidance.add(diff);
-        totalBoids++;
-      }
+      avoidance.add(Vector2D.scale(offset, -weight / distance));
+      totalBoids += weight;
     });
 
     if (totalBoids > 0) {
       avoidance.div(totalBoids);
-      avoidance.magnitude = params.maxVelocity;
+      avoidance.magnitude = this.cruiseSpeed(params);
       avoidance.sub(this.velocity);
       avoidance.clampMag(params.maxAcceleration);
     }
@@ -266,27 +642,22 @@ class Boid {
 
   /**
    * Calculates the alignment force to match the velocity of nearby boids.
-   * @param {Boid[]} boids - The list of all boids in the simulation.
+   * @param {Array<{ boid: Boid, offset: Vector2D, distance: number, weight?: number }>} neighbours - The boids within perception radius, optionally weighted.
    * @param {SimulationParams} params - The simulation parameters.
    * @returns {Vector2D} The alignment force.
    */
-  align(boids, params) {
-    let perceptionRadius = params.perceptionRadius;
-    let totalBoids = 0;
+  align(neighbours, params) {
     let desiredForce = Vector2D.Zero;
+    let totalWeight = 0;
 
-    boids.forEach((boid) => {
-      let d = this.position.distance(boid.position);
-
-      if (d < perceptionRadius && boid != this) {
-        desiredForce.add(boid.velocity);
-        totalBoids++;
-      }
+    neighbours.forEach(({ boid, weight = 1 }) => {
+      desiredForce.add(Vector2D.scale(boid.velocity, weight));
+      totalWeight += weight;
     });
 
-    if (totalBoids > 0) {
-      desiredForce.div(totalBoids);
-      desiredForce.magnitude = params.maxVelocity;
+    if (totalWeight > 0) {
+      desiredForce.div(totalWeight);
+      desiredForce.magnitude = this.cruiseSpeed(params);
       desiredForce.sub(this.velocity);
       desiredForce.clampMag(params.maxAcceleration);
     }
@@ -295,30 +666,303 @@ class Boid {
 
   /**
    * Calculates the cohesion force to move towards the average position of nearby boids.
-   * @param {Boid[]} boids - The list of all boids in the simulation.
+   * Offsets are used instead of raw positions, so the center is correct across the wrapped edges.
+   * @param {Array<{ boid: Boid, offset: Vector2D, distance: number, weight?: number }>} neighbours - The boids within perception radius, optionally weighted.
    * @param {SimulationParams} params - The simulation parameters.
    * @returns {Vector2D} The cohesion force.
    */
-  cohesion(boids, params) {
-    let perceptionRadius = params.perceptionRadius;
-    let totalBoids = 0;
+  cohesion(neighbours, params) {
     let steering = Vector2D.Zero;
+    let totalWeight = 0;
 
-    boids.forEach((boid) => {
-      let d = this.position.distance(boid.position);
+    neighbours.forEach(({ offset, weight = 1 }) => {
+      steering.add(Vector2D.scale(offset, weight));
+      totalWeight += weight;
+    });
 
-      if (d < perceptionRadius && boid != this) {
-        steering.add(boid.position);
-        totalBoids++;
-      }
+    if (totalWeight > 0) {
+      steering.div(totalWeight);
+      steering.magnitude = this.cruiseSpeed(params);
+      steering.sub(this.velocity);
+      steering.clampMag(params.maxAcceleration);
+    }
+    return steering;
+  }
+
+  /**
+   * Calculates the force to flee from nearby predators. Closer predators are weighted more.
+   * @param {Array<{ boid: Boid, offset: Vector2D, distance: number }>} threats - The predators within fear radius.
+   * @param {SimulationParams} params - The simulation parameters.
+   * @returns {Vector2D} The flee force.
+   */
+  flee(threats, params) {
+    let steering = Vector2D.Zero;
+
+    threats.forEach(({ offset, distance }) => {
+      if (distance === 0) return;
+      steering.add(Vector2D.scale(offset, -1 / (distance * distance)));
     });
 
-    if (totalBoids > 0) {
-      steering.div(totalBoids);
-      steering.sub(this.position);
-      steering.magnitude = params.maxVelocity;
+    if (threats.length > 0) {
+      steering.magnitude = this.maxSpeed(params);
+      steering.sub(this.velocity);
+      steering.clampMag(params.maxAcceleration);
+    }
+    return steering;
+  }
+
+  /**
+   * Calculates the pursuit force towards the predicted position of the nearest prey.
+   * @param {Array<{ boid: Boid, offset: Vector2D, distance: number }>} preys - The prey within hunt radius.
+   * @param {SimulationParams} params - The simulation parameters.
+   * @returns {{ force: Vector2D, target: ({ boid: Boid, offset: Vector2D, distance: number }|undefined) }} The pursuit force and the chased prey.
+   */
+  pursue(preys, params) {
+    let steering = Vector2D.Zero;
+    let target = undefined;
+
+    preys.forEach((prey) => {
+      if (!target || prey.distance < target.distance) target = prey;
+    });
+
+    if (target) {
+      // the further the prey, the further ahead of it we aim
+      const maxSpeed = this.maxSpeed(params);
+      const lookAhead = target.distance / maxSpeed;
+      steering = Vector2D.add(
+        target.offset,
+        Vector2D.scale(target.boid.velocity, lookAhead)
+      );
+      steering.magnitude = maxSpeed;
+      steering.sub(this.velocity);
+      steering.clampMag(params.maxAcceleration);
+    }
+    return { force: steering, target };
+  }
+
+  /**
+   * Calculates the predator's acceleration: pursuit of the nearest prey and separation from other predators.
+   * @param {Array<{ boid: Boid, offset: Vector2D, distance: number }>} neighbours - The boids within hunt radius.
+   * @param {SimulationParams} params - The predator parameters.
+   * @returns {({ boid: Boid, offset: Vector2D, distance: number }|undefined)} The chased prey.
+   */
+  hunt(neighbours, params) {
+    this.acceleration.set(0, 0);
+
+    const preys = neighbours.filter(({ boid }) => boid.role === BoidRole.PREY);
+    const rivals = neighbours.filter(
+      ({ boid, distance }) =>
+        boid.role === BoidRole.PREDATOR && distance < params.perceptionRadius
+    );
+
+    const { force: pursuit, target } = this.pursue(preys, params);
+    const avoidance = this.separate(rivals, params);
+
+    pursuit.scale(params.pursuitImpact);
+    avoidance.scale(params.avoidanceImpact);
+
+    this.acceleration.add(pursuit);
+    this.acceleration.add(avoidance);
+    return target;
+  }
+
+  /**
+   * Calculates the wander force: the boid steers to a target on a circle ahead of it, the target jitters along the circle every step.
+   * @param {SimulationParams} params - The simulation parameters.
+   * @param {() => number} [random=Math.random] - The source of random numbers for the jitter.
+   * @returns {Vector2D} The wander force.
+   */
+  wander(params, random = Math.random) {
+    this.wanderAngle += (random() * 2 - 1) * params.wanderJitter;
+
+    const heading =
+      this.velocity.magnitude > 0 ? this.velocity.angle : this.wanderAngle;
+    const steering = Vector2D.addPolar(
+      Vector2D.Zero,
+      params.wanderDistance,
+      heading
+    );
+    steering.addPolar(params.wanderRadius, heading + this.wanderAngle);
+
+    steering.magnitude = this.cruiseSpeed(params);
+    steering.sub(this.velocity);
+    steering.clampMag(params.maxAcceleration);
+    return steering;
+  }
+
+  /**
+   * Drains the energy of the boid over time and with speed.
+   * @param {number} deltaTime - The time elapsed since the last update.
+   * @param {SimulationParams} params - The simulation parameters.
+   */
+  drainEnergy(deltaTime, params) {
+    const drain =
+      params.energyDrain + params.speedEnergyDrain * this.velocity.magnitude;
+    this.energy = Math.max(0, this.energy - drain * deltaTime);
+  }
+
+  /**
+   * Checks whether the boid is well-fed and rested enough to mate.
+   * @param {SimulationParams} params - The simulation parameters.
+   * @returns {boolean} `true` if the boid can mate.
+   */
+  canMate(params) {
+    return (
+      typeof this.genome !== "undefined" &&
+      this.mateCooldown <= 0 &&
+      this.energy >= params.mateEnergy
+    );
+  }
+
+  /**
+   * Calculates the force to steer towards food. The hungrier the boid, the stronger the force.
+   * @param {{ food: Food, offset: Vector2D, distance: number }} target - The closest food, see {@link Simulation#findFood}.
+   * @param {SimulationParams} params - The simulation parameters.
+   * @returns {Vector2D} The seek force.
+   */
+  seekFood(target, params) {
+    const steering = Vector2D.fromVec2D(target.offset);
+    if (target.distance === 0) return steering;
+
+    steering.magnitude = this.maxSpeed(params);
+    steering.sub(this.velocity);
+    steering.clampMag(params.maxAcceleration);
+    steering.scale(params.foodImpact * (1 - this.energy));
+    return steering;
+  }
+
+  /**
+   * Eats a food pellet: restores energy and grows the animal up to `maxGrowth`.
+   * @param {Food} food - The eaten pellet.
+   * @param {SimulationParams} params - The simulation parameters.
+   */
+  eat(food, params) {
+    this.energy = Math.min(1, this.energy + food.energy);
+
+    if (typeof this.animal !== "undefined") {
+      this.animal.scale = Math.min(
+        this.baseScale * params.maxGrowth,
+        this.animal.scale + this.baseScale * params.growthPerFood
+      );
+    }
+  }
+
+  /**
+   * Calculates the force to arrive at a target, slowing down within `arriveRadius`.
+   * @param {Vector2D} offset - The offset from the boid to the target.
+   * @param {SimulationParams} params - The simulation parameters.
+   * @param {Vector2D} [targetVelocity=Vector2D.Zero] - The velocity of a moving target, matched on arrival.
+   * @returns {Vector2D} The arrive force.
+   */
+  arrive(offset, params, targetVelocity = Vector2D.Zero) {
+    const distance = offset.magnitude;
+    const maxSpeed = this.maxSpeed(params);
+    const desired = Vector2D.fromVec2D(targetVelocity);
+    if (distance > 0) {
+      const speed = maxSpeed * Math.min(distance / params.arriveRadius, 1);
+      desired.add(Vector2D.scale(offset, speed / distance));
+    }
+    desired.clampMag(maxSpeed);
+
+    const steering = Vector2D.sub(desired, this.velocity);
+    steering.clampMag(params.maxAcceleration);
+    return steering;
+  }
+
+  /**
+   * Calculates the offset pursuit force towards a formation slot: the boid arrives where the slot will be when it gets there.
+   * @param {Vector2D} offset - The offset from the boid to the slot.
+   * @param {Boid} leader - The leader of the formation.
+   * @param {SimulationParams} params - The simulation parameters.
+   * @returns {Vector2D} The force to keep the slot.
+   */
+  followSlot(offset, leader, params) {
+    const lookAhead = Math.min(offset.magnitude / this.maxSpeed(params), 10);
+    const target = Vector2D.add(
+      offset,
+      Vector2D.scale(leader.velocity, lookAhead)
+    );
+    return this.arrive(target, params, leader.velocity);
+  }
+
+  /**
+   * Calculates the force to follow a path. The boid steers to a point `pathLookAhead` further along the path
+   * than its predicted position, at half strength while it is inside the path radius so flocking can spread the school.
+   * @param {Path} path - The path.
+   * @param {SimulationParams} params - The simulation parameters.
+   * @param {number} [progress=undefined] - How far the boid has travelled along the path. A boid ahead of it is led back, so it does not skip parts of the path.
+   * @returns {Vector2D} The path following force.
+   */
+  followPath(path, params, progress = undefined) {
+    const predicted = Vector2D.fromVec2D(this.position);
+    if (this.velocity.magnitude > 0) {
+      predicted.add(Vector2D.scale(this.velocity.unit(), params.pathLookAhead));
+    }
+    const { along, distance } = path.closestPoint(predicted);
+    const from =
+      typeof progress === "number" ? Math.min(along, progress) : along;
+    const target = path.pointAt(from + params.pathLookAhead);
+
+    const steering = Vector2D.sub(target, this.position);
+    if (steering.magnitude === 0) return steering;
+
+    steering.magnitude = this.cruiseSpeed(params);
+    steering.sub(this.velocity);
+    steering.clampMag(params.maxAcceleration);
+    if (distance <= path.radius) steering.scale(0.5);
+    return steering;
+  }
+
+  /**
+   * Calculates the force to steer around obstacles. Points along the velocity up to `obstacleLookAhead` are probed,
+   * obstacles close to the probes turn the boid sideways, an obstacle close to the boid itself pushes it out.
+   * @param {Obstacle[]} obstacles - The obstacles of the simulation.
+   * @param {SimulationParams} params - The simulation parameters.
+   * @returns {Vector2D} The avoidance force.
+   */
+  avoidObstacles(obstacles, params) {
+    const direction =
+      this.velocity.magnitude > 0 ? this.velocity.unit() : Vector2D.Right;
+    const probes = [0, 0.5, 1].map((t) =>
+      Vector2D.add(
+        this.position,
+        Vector2D.scale(direction, t * params.obstacleLookAhead)
+      )
+    );
+
+    let steering = Vector2D.Zero;
+    let maxWeight = 0;
+
+    obstacles.forEach((obstacle) => {
+      probes.forEach((probe, index) => {
+        const { distance, normal } = obstacle.distanceTo(probe);
+        if (distance >= params.obstacleMargin) return;
+
+        const weight =
+          (params.obstacleMargin - distance) / params.obstacleMargin;
+        let away = normal;
+        if (index > 0) {
+          // turn sideways instead of braking in front of the obstacle
+          away = Vector2D.sub(
+            normal,
+            Vector2D.scale(direction, normal.dot(direction))
+          );
+          if (away.magnitude < 1e-3) {
+            away = new Vector2D(-direction.y, direction.x);
+          }
+          away = away.unit();
+        }
+
+        steering.add(Vector2D.scale(away, weight));
+        maxWeight = Math.max(maxWeight, weight);
+      });
+    });
+
+    if (maxWeight > 0) {
+      steering.magnitude = this.maxSpeed(params);
       steering.sub(this.velocity);
       steering.clampMag(params.maxAcceleration);
+      steering.scale(Math.min(maxWeight, 2));
     }
     return steering;
   }
@@ -348,61 +992,193 @@ class Boid {
 /**
  * Manages a collection of points, each associated with a creation time and a delay.
  * Handles the addition and removal of points based on their delay.
+ * Every point has a {@link RippleType} whose preset gives its look, speed and lifetime.
  */
 class RipplesManager {
   /**
-   * Creates an instance of RipplesManager.
+   * Creates an instance of RipplesManager. Ripples age in simulation time, see {@link Simulation#time},
+   * so they stop aging while the simulation is paused.
+   * `delay`, `divisor`, `threshold` and `startVars` set up the preset of `RippleType.REPEL`. `delay` and `divisor` are
+   * given in milliseconds at 60 fps as before and converted to simulation time, the presets keep simulation time.
    *
    * @param {number} [maxRipples=10] - The maximum number of ripples.
-   * @param {number} [delay=600] - The delay after which a point is removed.
-   * @param {number} [divisor=5] - The divisor used for ripple calculations.
+   * @param {number} [delay=600] - The lifetime of a point in milliseconds.
+   * @param {number} [divisor=5] - The milliseconds for a ripple to grow by one pixel.
    * @param {number} [threshold=10] - The threshold for ripple calculations.
-   * @param {number[]} [startVars=[0, 40, 60]] - The initial radius delay for ripple calculations.
+   * @param {number[]} [startVars=[0, 40, 60]] - The initial radius delay for ripple calculations, one per ring.
+   * @param {Object<RippleType, Object>} [presets={}] - Changes of the presets by ripple type, see {@link RipplesManager#setPreset}.
    */
   constructor(
     maxRipples = 10,
     delay = 600,
     divisor = 5,
     threshold = 10,
-    startVars = [0, 40, 60]
+    startVars = [0, 40, 60],
+    presets = {}
   ) {
     /**
-     * @type {Array<{ point: Vector2D, creationTime: number, delay: number }>}
+     * @type {Array<{ pos: Vector2D, creationTime: number, delay: number, type: RippleType }>}
      * @private
      */
     this.points = [];
     this.maxRipples = maxRipples;
-    this.delay = delay;
-    this.divisor = divisor;
-    this.threshold = threshold;
-    this.startVars = startVars;
+    /** @type {Object<RippleType, { color: string, width: number, startVars: number[], divisor: number, delay: number, threshold: number, strength: number, stunDuration: number }>} */
+    this.presets = {
+      [RippleType.REPEL]: {
+        color: "white",
+        width: 8,
+        startVars,
+        divisor: millisecondsToTime(divisor),
+        delay: millisecondsToTime(delay),
+        threshold,
+        strength: 1,
+        stunDuration: 0,
+      },
+      [RippleType.ATTRACT]: {
+        color: "#7fd4ff",
+        width: 6,
+        startVars: [0, 30],
+        divisor: 0.4,
+        delay: 48,
+        threshold,
+        strength: 0.5,
+        stunDuration: 0,
+      },
+      [RippleType.STUN]: {
+        color: "#ffe066",
+        width: 4,
+        startVars: [0, 20, 40, 60],
+        divisor: 0.2,
+        delay: 24,
+        threshold,
+        strength: 0,
+        stunDuration: 45,
+      },
+    };
+    Object.keys(presets).forEach((type) => this.setPreset(type, presets[type]));
   }
 
   /**
-   * Adds a point to the manager with a specified delay.
+   * Changes the preset of a ripple type. The preset is replaced by a new object, so views can tell it changed.
+   * Points emitted before keep their lifetime.
    *
-   * @param {Vector2D} point - The point to be added.
+   * @param {RippleType} type - The ripple type.
+   * @param {Object} changes - The changed settings of the preset.
+   * @param {string} [changes.color] - The color of the rings.
+   * @param {number} [changes.width] - The stroke width of the rings.
+   * @param {number[]} [changes.startVars] - The radius delay of every ring, their count is the ring count.
+   * @param {number} [changes.divisor] - The simulation time for the rings to grow by one pixel.
+   * @param {number} [changes.delay] - The lifetime of the ripples in simulation time.
+   * @param {number} [changes.threshold] - The radius of the rings at the start.
+   * @param {number} [changes.strength] - The scale of `mouseForceScale` for `RippleType.REPEL` and `RippleType.ATTRACT`.
+   * @param {number} [changes.stunDuration] - The simulation time animals stay frozen after leaving a `RippleType.STUN` ripple.
    */
-  addPoint(point) {
-    if (this.points.length >= this.maxRipples) return;
+  setPreset(type, changes) {
+    if (!this.presets[type]) return;
+    this.presets[type] = Object.assign(
+      {},
+      this.presets[type],
+      JSON.parse(JSON.stringify(changes))
+    );
+  }
 
-    const creationTime = Date.now();
-    const arrInstance = {
-      pos: point,
-      creationTime: creationTime,
-      delay: this.delay,
-    };
-    this.points.push(arrInstance);
+  /**
+   * The lifetime of `RippleType.REPEL` ripples, kept from before there were presets.
+   * @returns {number} The lifetime in milliseconds at 60 fps.
+   */
+  get delay() {
+    return timeToMilliseconds(this.presets[RippleType.REPEL].delay);
+  }
 
-    setTimeout(() => {
-      this.removePoint(arrInstance);
-    }, this.delay);
+  /**
+   * Sets the lifetime of `RippleType.REPEL` ripples.
+   * @param {number} delay - The lifetime in milliseconds at 60 fps.
+   */
+  set delay(delay) {
+    this.setPreset(RippleType.REPEL, { delay: millisecondsToTime(delay) });
   }
 
   /**
-   * Removes a point from the manager.
-   *
-   * @param {{ point: Vector2D, creationTime: number, delay: number }} arrInstance - The point object to be removed.
+   * How slowly `RippleType.REPEL` ripples grow, kept from before there were presets.
+   * @returns {number} The milliseconds at 60 fps for the rings to grow by one pixel.
+   */
+  get divisor() {
+    return timeToMilliseconds(this.presets[RippleType.REPEL].divisor);
+  }
+
+  /**
+   * Sets how slowly `RippleType.REPEL` ripples grow.
+   * @param {number} divisor - The milliseconds at 60 fps for the rings to grow by one pixel.
+   */
+  set divisor(divisor) {
+    this.setPreset(RippleType.REPEL, { divisor: millisecondsToTime(divisor) });
+  }
+
+  /**
+   * The radius of `RippleType.REPEL` rings at the start, kept from before there were presets.
+   * @returns {number} The radius.
+   */
+  get threshold() {
+    return this.presets[RippleType.REPEL].threshold;
+  }
+
+  /**
+   * Sets the radius of `RippleType.REPEL` rings at the start.
+   * @param {number} threshold - The radius.
+   */
+  set threshold(threshold) {
+    this.setPreset(RippleType.REPEL, { threshold });
+  }
+
+  /**
+   * The radius delay of every `RippleType.REPEL` ring, kept from before there were presets.
+   * @returns {number[]} The radius delays, their count is the ring count.
+   */
+  get startVars() {
+    return this.presets[RippleType.REPEL].startVars;
+  }
+
+  /**
+   * Sets the radius delay of every `RippleType.REPEL` ring.
+   * @param {number[]} startVars - The radius delays, their count is the ring count.
+   */
+  set startVars(startVars) {
+    this.setPreset(RippleType.REPEL, { startVars });
+  }
+
+  /**
+   * Adds a point to the manager with the delay of its preset.
+   *
+   * @param {Vector2D} point - The point to be added.
+   * @param {number} time - The current simulation time.
+   * @param {RippleType} [type=RippleType.REPEL] - The ripple type.
+   */
+  addPoint(point, time, type = RippleType.REPEL) {
+    if (this.points.length >= this.maxRipples || !this.presets[type]) return;
+
+    this.points.push({
+      pos: point,
+      creationTime: time,
+      delay: this.presets[type].delay,
+      type,
+    });
+  }
+
+  /**
+   * Removes the points which lived longer than their delay.
+   *
+   * @param {number} time - The current simulation time.
+   */
+  update(time) {
+    this.points = this.points.filter(
+      (item) => time - item.creationTime < item.delay
+    );
+  }
+
+  /**
+   * Removes a point from the manager.
+   *
+   * @param {{ pos: Vector2D, creationTime: number, delay: number, type: RippleType }} arrInstance - The point object to be removed.
    */
   removePoint(arrInstance) {
     const index = this.points.indexOf(arrInstance);
@@ -412,15 +1188,15 @@ class RipplesManager {
   }
 
   /**
-   * Retrieves all points with their elapsed time and delay.
+   * Retrieves all points with their elapsed time.
    *
-   * @returns {Array<{ point: Vector2D, time: number, delay: number }>} An array of objects, each containing a point, the time elapsed since creation, and the delay.
+   * @param {number} time - The current simulation time.
+   * @returns {Array<{ pos: Vector2D, time: number, type: RippleType }>} An array of objects, each containing a point, the simulation time elapsed since its creation and its type.
    */
-  getPointsWithTimes() {
-    const currentTime = Date.now();
+  getPointsWithTimes(time) {
     return this.points.map((item) => {
-      const timePassed = currentTime - item.creationTime;
-      return { pos: item.pos, time: timePassed };
+      const timePassed = time - item.creationTime;
+      return { pos: item.pos, time: timePassed, type: item.type };
     });
   }
 
@@ -432,11 +1208,40 @@ class RipplesManager {
   getPoints() {
     return this.points.map((point) => point.pos);
   }
+
+  /**
+   * Describes the points as plain data, e.g. for a snapshot.
+   *
+   * @returns {Array<{ pos: { x: number, y: number }, creationTime: number, delay: number, type: RippleType }>} The points.
+   */
+  toJSON() {
+    return this.points.map((item) => ({
+      pos: { x: item.pos.x, y: item.pos.y },
+      creationTime: item.creationTime,
+      delay: item.delay,
+      type: item.type,
+    }));
+  }
+
+  /**
+   * Replaces the points with the ones of {@link RipplesManager#toJSON}.
+   *
+   * @param {Array<{ pos: { x: number, y: number }, creationTime: number, delay: number, type: RippleType }>} points - The points.
+   */
+  restore(points) {
+    this.points = points.map((item) => ({
+      pos: Vector2D.fromObject(item.pos),
+      creationTime: item.creationTime,
+      delay: item.delay,
+      type: item.type || RippleType.REPEL,
+    }));
+  }
 }
 
 /**
  * Manages a simulation of boids (flock simulation) within specified boundaries and parameters.
- * Handles updating boid behaviors, displaying boids and ripple effects, and managing mouse interactions.
+ * Handles updating boid behaviors, ripple effects, and managing mouse interactions.
+ * The simulation does not depend on PIXI or the DOM, renderers from `renderers.js` attach to it as views.
  */
 class Simulation {
   /**
@@ -447,21 +1252,25 @@ class Simulation {
    * @param {Object} style - The style object passed to the constructor.
    * @param {number} scale - The random scale value from the sizesRange.
    * @param {boolean} resolution - The lowRes flag passed to the constructor.
+   * @param {() => number} random - The source of random numbers of the simulation.
    * @returns {BodyBase} An instance of a class extending BodyBase. Must provide methods `update(pos)`, `display(ctx)` and `displaySkeleton(ctx)`.
    */
 
   /**
    * Creates an instance of Simulation.
    *
+   * The settings of the boids form the first species group, more can be added with {@link Simulation#addGroup}.
+   *
    * @param {number} numberOfBoids - The number of boids in the simulation.
    * @param {{ width: number, height: number, margin: number }} boundaries - The dimentions of simaluation area and margin to the border of area.
-   * @param {SimulationParams} params - The parameters for boid behaviors.
+   * @param {SimulationParams} params - The parameters for boid behaviors. Mouse forces of the simulation use them for all groups.
    * @param {AnimalType} animalType - The type of animal for the boids. See {@link AnimalType}.
    * @param {{ fill: string, outline: string, outlineWidth: number, eyesColor: string }} [style={ fill: "random", outline: "white", outlineWidth: 1.5, eyesColor: "white" }] - The style settings for the animals. To make all animals have different color, set `fill: "random"`.
    * @param {[number, number]} [sizesRange=[1, 1]] - The range for the sizes of the animals.
    * @param {boolean} [lowRes=false] - Whether to use low resolution for the animal visuals.
    * @param {number} [maxRipples=10] - Defines maximum number of ripples on the screen.
    * @param {customAnimalCallback} [customAnimalCallback] - Optional callback function for creating custom animals. Being called if `animalType = AnimalType.UNDEFINED`
+   * @param {number} [seed=undefined] - Seed for the random numbers. The same seed gives the same flock, colors and trajectories. If `undefined`, `Math.random` is used.
    */
   constructor(
     numberOfBoids,
@@ -478,14 +1287,57 @@ class Simulation {
     lowRes = false,
     spawnPlace = PositionType.SIDES,
     maxRipples = 10,
-    customAnimalCallback = (index, style, scale, resolution) => {
+    customAnimalCallback = (index, style, scale, resolution, random) => {
       return new BodyBase();
-    }
+    },
+    seed = undefined
   ) {
     const maxBoids = numberOfBoids;
     this.flock = [];
-    this.graphicContainers = [];
-    this.graphicContainer = new PIXI.Container();
+    this.predators = [];
+    this.nextBoidId = 0;
+    // a mirror only displays a simulation stepped somewhere else, its boids are added and removed by `applyFrame`
+    this.isMirror = false;
+    // predators start with a copy of the flock parameters but are a bit faster,
+    // later changes of the flock parameters do not reach them, see `setPredatorParams`
+    this.predatorParams = Object.assign(new SimulationParams(), params);
+    this.predatorParams.maxVelocity = params.maxVelocity * 1.25;
+    this.predatorType = AnimalType.FISH;
+    this.predatorSizesRange = [1.8, 2.2];
+    this.predatorStyle = {
+      fill: "#4a0d0d",
+      finFill: "#6e1a1a",
+      outline: "#04080a",
+      outlineWidth: 1.5,
+      eyesColor: "#ffcc00",
+    };
+    this.catchBehaviour = CatchBehaviour.RESPAWN;
+    this.listeners = {};
+    this.obstacles = [];
+    this.nextObstacleId = 0;
+    /** @type {Attractor[]} */
+    this.attractors = [];
+    this.nextAttractorId = 0;
+    /** @type {FlowField[]} */
+    this.flowFields = [];
+    this.nextFlowFieldId = 0;
+    /** @type {Path[]} */
+    this.paths = [];
+    this.nextPathId = 0;
+    /** @type {Formation[]} */
+    this.formations = [];
+    this.nextFormationId = 0;
+    // simulation time in steps of 60 fps, see `FixedTimestep`
+    this.time = 0;
+    this.ecologyEnabled = false;
+    this.reproductionEnabled = false;
+    this.maxPopulation = 300;
+    this.foodSpawnRate = 0.02;
+    this.maxFood = 40;
+    /** @type {Food[]} */
+    this.food = [];
+    this.nextFoodId = 0;
+    this.boundaryMode = BoundaryMode.WRAP;
     this.boundaries = {
       width: boundaries.width + boundaries.margin * 2,
       height: boundaries.height + boundaries.margin * 2,
@@ -494,486 +1346,2573 @@ class Simulation {
       margin: boundaries.margin,
     };
     this.params = params;
+    // the constructor settings form the first group, see `addGroup`
+    this.groups = [new SpeciesGroup(0, animalType, params, sizesRange, style)];
+    this.nextGroupId = 1;
 
-    this.style = JSON.parse(JSON.stringify(style));
-    this.animalType = animalType;
-    this.sizesRange = sizesRange;
     this.isLowRes = lowRes;
     this.spawnPlace = spawnPlace;
-    this.customAnimalCB = customAnimalCallback;
+    this.customAnimalCallback = customAnimalCallback;
+    this.seed = seed;
+    this.random =
+      typeof seed !== "undefined" ? seededRandom(seed) : Math.random;
+    this.grid = new SpatialHashGrid(params.perceptionRadius);
     for (let i = 0; i < maxBoids; i++) {
       this.addAnimal(i);
     }
     this.mousePos = Vector2D.Zero;
+    this.isMouseOver = false;
+    /** @type {Attractor|undefined} */
+    this.mouseAttractor = undefined;
+    /**
+     * Attractors of the active touches by pointer id, see {@link Simulation#setPointer}.
+     * @type {Map<number, Attractor>}
+     */
+    this.pointers = new Map();
+    // settings of the touch attractors, see `setPointerAttractor`
+    this.pointerAttractor = { strength: 0.3, radius: 150, falloff: undefined };
     this.ripples = new RipplesManager(maxRipples);
-    this.riplesContainer = new PIXI.Container();
-    this.riplesObjects = [];
+    // renderer behind the deprecated Pixi.js methods, see `getLegacyPixiRenderer`
+    /** @type {PixiRenderer|undefined} */
+    this.legacyPixiRenderer = undefined;
   }
 
   /**
    * Updates the simulation state, including boid behaviors and interactions with ripple points.
    *
-   * @param {number} deltaTime - The time elapsed since the last update in milliseconds.
+   * @param {number} deltaTime - The time elapsed since the last update, in frames of 60 fps, see {@link FixedTimestep#timeStep}.
    */
   update(deltaTime) {
-    const ripplePoints = this.ripples.getPoints();
+    this.ripples.update(this.time);
+    const ripplePoints = this.ripples.getPointsWithTimes(this.time);
+    const boids = this.boids;
+
+    boids.forEach((boid) => boid.edges(this.boundaries, this.boundaryMode));
+
+    this.grid.cellSize = Math.max(
+      ...this.groups.map((group) => group.params.perceptionRadius),
+      this.params.perceptionRadius
+    );
+    this.grid.wrap = this.boundaryMode === BoundaryMode.WRAP;
+    this.grid.rebuild(boids, this.boundaries);
+
+    const hasPredators = this.predators.length > 0;
+    this.attractors = this.attractors.filter(
+      (attractor) => !attractor.isExpired(this.time)
+    );
+    const attractors = this.attractors.slice();
+    if (this.mouseAttractor && this.isMouseOver) {
+      this.mouseAttractor.pos.set(this.mousePos.x, this.mousePos.y);
+      attractors.push(this.mouseAttractor);
+    }
+    if (this.pointerAttractor.strength !== 0) {
+      this.pointers.forEach((pointer) => attractors.push(pointer));
+    }
 
     this.flock.forEach((boid) => {
-      boid.edges(this.boundaries);
-      boid.flock(this.flock, this.params);
-      ripplePoints.forEach((point) => {
-        boid.applyForce(
-          point,
-          this.params.mouseForceScale,
-          this.params.mouseForceRadius
+      const group = boid.group;
+      const params = group.params;
+      const queryRadius = hasPredators
+        ? Math.max(params.perceptionRadius, params.fearRadius)
+        : params.perceptionRadius;
+
+      const neighbours = this.grid.query(boid.position, queryRadius, boid);
+      const flockmates = neighbours.filter(
+        (n) => n.boid.group === group && n.distance < params.perceptionRadius
+      );
+      if (boid.formation) {
+        this.steerInFormation(boid, flockmates, params);
+      } else {
+        boid.flock(flockmates, params);
+      }
+
+      if (group.avoidOthers) {
+        const others = neighbours.filter(
+          (n) =>
+            n.boid.role === BoidRole.PREY &&
+            n.boid.group !== group &&
+            n.distance < params.perceptionRadius
+        );
+        const avoidance = boid.separate(others, params);
+        avoidance.scale(params.avoidanceImpact);
+        boid.acceleration.add(avoidance);
+      }
+
+      if (hasPredators) {
+        const threats = neighbours.filter(
+          (n) =>
+            n.boid.role === BoidRole.PREDATOR && n.distance < params.fearRadius
         );
+        const flee = boid.flee(threats, params);
+        flee.scale(params.fleeImpact);
+        boid.acceleration.add(flee);
+      }
+
+      ripplePoints.forEach((point) => this.applyRipple(boid, point, params));
+
+      attractors.forEach((attractor) => {
+        const offset = this.grid.offset(boid.position, attractor.pos);
+        boid.acceleration.add(attractor.force(offset));
       });
-      boid.update(deltaTime, this.params);
+
+      if (boid.path && !boid.isFollower) this.steerAlongPath(boid, params);
+      if (params.wanderImpact > 0 && !boid.isFollower) {
+        const wander = boid.wander(params, this.random);
+        wander.scale(params.wanderImpact);
+        boid.acceleration.add(wander);
+      }
+    });
+
+    const catches = [];
+    this.predators.forEach((predator) => {
+      const neighbours = this.grid.query(
+        predator.position,
+        this.predatorParams.huntRadius,
+        predator
+      );
+      const target = predator.hunt(neighbours, this.predatorParams);
+      if (target && target.distance < this.predatorParams.catchRadius) {
+        catches.push({ predator, prey: target.boid });
+      }
+      if (!target && this.predatorParams.wanderImpact > 0) {
+        const wander = predator.wander(this.predatorParams, this.random);
+        wander.scale(this.predatorParams.wanderImpact);
+        predator.acceleration.add(wander);
+      }
     });
+
+    this.flock.forEach((boid) => this.applySteering(boid, boid.group.params));
+    if (this.flowFields.length > 0) {
+      boids.forEach((boid) =>
+        boid.acceleration.add(this.sampleFlow(boid.position))
+      );
+    }
+    if (this.ecologyEnabled) this.updateEcology(deltaTime);
+    this.predators.forEach((boid) =>
+      this.applySteering(boid, this.predatorParams)
+    );
+
+    this.flock.forEach((boid) => boid.update(deltaTime, boid.group.params));
+    this.predators.forEach((boid) =>
+      boid.update(deltaTime, this.predatorParams)
+    );
+
+    catches.forEach((caught) => this.handleCatch(caught));
+    this.time += deltaTime;
   }
 
   /**
-   * Initializes the Pixi.js graphics for the simulation, including boid visuals and ripple effects.
+   * Gets the renderer behind the deprecated Pixi.js methods of the simulation, created on first use.
+   * @returns {PixiRenderer} The renderer.
+   * @private
    */
-  initPixiGrafics() {
-    this.flock.forEach((boid) => {
-      boid.animal.initPixiGrafics();
-    });
-
-    const divisor = this.ripples.divisor;
-    const threshold = this.ripples.threshold;
-    const startVars = this.ripples.startVars;
-    const delay = this.ripples.delay;
-    const maxRipples = this.ripples.maxRipples;
-    const maxRadius = threshold + delay / divisor;
-    for (let i = 0; i < maxRipples; i++) {
-      const circleContainer = new PIXI.Container();
-      this.riplesContainer.addChild(circleContainer);
-      const rplObj = {
-        container: circleContainer,
-        circles: [],
-      };
-      for (let j = 0; j < startVars.length; j++) {
-        const c = new PIXI.Graphics();
-        c.circle(0, 0, maxRadius);
-        c.stroke({ width: 8, color: "white" });
-        circleContainer.addChild(c);
-        rplObj.circles.push(c);
-      }
-      this.riplesObjects.push(rplObj);
+  getLegacyPixiRenderer() {
+    if (!this.legacyPixiRenderer) {
+      this.legacyPixiRenderer = new PixiRenderer(this);
     }
+    return this.legacyPixiRenderer;
+  }
+
+  /**
+   * Initializes the Pixi.js graphics for the simulation. The graphics are created by {@link Simulation#attachPixiContainers}.
+   * @deprecated Rendering moved to {@link PixiRenderer}, use `new PixiRenderer(simulation).attach(stage)`.
+   */
+  initPixiGrafics() {
+    this.getLegacyPixiRenderer();
   }
 
   /**
    * Updates the Pixi.js graphics for the ripple effects based on the current simulation state.
+   * @deprecated Rendering moved to {@link PixiRenderer#updatePixiRiples}.
    */
   updatePixiRiples() {
-    const divisor = this.ripples.divisor;
-    const threshold = this.ripples.threshold;
-    const startVars = this.ripples.startVars;
-    const delay = this.ripples.delay;
-    const maxRadius = threshold + delay / divisor;
-
-    const simSize = this.ripples.points.length;
-    const positions = this.ripples.getPointsWithTimes();
-    for (let i = 0; i < this.riplesObjects.length; i++) {
-      const rplObj = this.riplesObjects[i];
-      // rplObj.container.visible = false;
-      if (i >= simSize) {
-        rplObj.container.visible = false;
-      } else {
-        const ripple = positions[i];
-
-        rplObj.container.visible = true;
-        rplObj.container.position.set(ripple.pos.x, ripple.pos.y);
-
-        for (let j = 0; j < rplObj.circles.length; j++) {
-          const ripleCrcl = rplObj.circles[j];
-          const rplPoint = positions[i];
-
-          const timeToDeletion = rplPoint.time / delay;
-          const radius = threshold + rplPoint.time / divisor;
-
-          const curRadius = radius - startVars[j];
-          if (curRadius < 0) {
-            ripleCrcl.alpha = 0.0;
-            continue;
-          }
-          ripleCrcl.scale = curRadius / maxRadius;
-
-          const alpha =
-            Math.pow(1 - curRadius / maxRadius, 2) *
-            Math.pow(1 - timeToDeletion, 0.2);
-          ripleCrcl.alpha = alpha;
-        }
-      }
-    }
+    this.getLegacyPixiRenderer().updatePixiRiples();
   }
 
   /**
    * Updates the Pixi.js graphics for the boid visuals based on the current simulation state.
+   * @deprecated Rendering moved to {@link PixiRenderer#updatePixiGrafics}.
    */
   updatePixiGrafics() {
-    this.flock.forEach((boid, index) => {
-      boid.animal.updatePixiGrafics();
-    });
+    const renderer = this.getLegacyPixiRenderer();
+    renderer.syncAnimals();
+    renderer.updatePixiGrafics();
   }
 
   /**
    * Attaches the Pixi.js graphics containers for boids and ripples to the given stage.
+   * @deprecated Rendering moved to {@link PixiRenderer#attach}.
    *
    * @param {PIXI.Container} stage - The Pixi.js stage to which the graphics containers will be attached.
    */
   attachPixiContainers(stage) {
-    this.graphicContainers.forEach((c) => {
-      this.graphicContainer.addChild(c);
-    });
-
-    stage.addChild(this.graphicContainer);
-    stage.addChild(this.riplesContainer);
+    this.getLegacyPixiRenderer().attach(stage);
   }
 
   /**
    * Displays the boids using their animal visuals.
+   * @deprecated Rendering moved to {@link CanvasRenderer#displayAnimal}.
    *
    * @param {CanvasRenderingContext2D} ctx - The 2D rendering context of the canvas.
    */
   displayAnimal(ctx) {
-    this.flock.forEach((boid) => {
-      boid.displayAnimal(ctx);
-    });
+    new CanvasRenderer(this, ctx).displayAnimal();
   }
 
   /**
    * Displays the boids with simple shapes and the ripple circles.
+   * @deprecated Rendering moved to {@link CanvasRenderer#displaySimple}.
    *
    * @param {CanvasRenderingContext2D} ctx - The 2D rendering context of the canvas.
    */
   displaySimple(ctx) {
-    this.flock.forEach((boid) => {
-      boid.displaySimple(ctx);
-    });
-
-    ctx.strokeStyle = "yellow";
-    ctx.lineWidth = 2;
-    this.ripples.getPointsWithTimes().forEach((point) => {
-      ctx.beginPath();
-      ctx.arc(
-        point.point.x,
-        point.point.y,
-        this.params.mouseForceRadius,
-        0,
-        Math.PI * 2
-      );
-      ctx.stroke();
-      ctx.closePath();
-    });
+    new CanvasRenderer(this, ctx).displaySimple();
   }
 
   /**
-   * Displays the ripple effects based on the points' elapsed time and delay.
+   * Displays the ripple effects based on the points' elapsed time and their presets.
+   * @deprecated Rendering moved to {@link CanvasRenderer#displayRipples}.
    *
    * @param {CanvasRenderingContext2D} ctx - The 2D rendering context of the canvas.
    */
   displayRipples(ctx) {
-    ctx.lineWidth = 3;
-    const divisor = this.ripples.divisor;
-    const threshold = this.ripples.threshold;
-    const startVars = this.ripples.startVars;
-    const delay = this.ripples.delay;
-    const maxRadius = threshold + delay / divisor;
-
-    this.ripples.getPointsWithTimes().forEach((point) => {
-      if (point.time < delay) {
-        const timeToDeletion = point.time / delay;
-        const radius = threshold + point.time / divisor;
-
-        for (let i = 0; i < startVars.length; i++) {
-          const curRadius = radius - startVars[i];
-          if (curRadius < 0) continue;
-          const color =
-            Math.pow(1 - curRadius / maxRadius, 2) *
-            Math.pow(1 - timeToDeletion, 0.2);
-          ctx.strokeStyle = `rgba(255, 255, 255, ${color})`;
-          ctx.beginPath();
-          ctx.arc(point.pos.x, point.pos.y, curRadius, 0, Math.PI * 2);
-          ctx.stroke();
-          ctx.closePath();
-        }
-      }
-    });
+    new CanvasRenderer(this, ctx).displayRipples();
   }
 
   /**
-   * Adds a new ripple point at the current mouse position.
+   * Applies a ripple to a boid within `mouseForceRadius` of it, depending on the ripple type.
+   *
+   * @param {Boid} boid - The boid.
+   * @param {{ pos: Vector2D, type: RippleType }} point - The ripple, see {@link RipplesManager#getPointsWithTimes}.
+   * @param {SimulationParams} params - The parameters of the boid.
+   * @private
    */
-  addPoint() {
-    this.ripples.addPoint(Vector2D.fromVec2D(this.mousePos));
+  applyRipple(boid, point, params) {
+    const preset = this.ripples.presets[point.type];
+    const scale = params.mouseForceScale * preset.strength;
+    const offset = this.grid.offset(point.pos, boid.position);
+    // the copy of the ripple closest to the boid, across the edges with `BoundaryMode.WRAP`
+    const origin = Vector2D.sub(boid.position, offset);
+    switch (point.type) {
+      case RippleType.STUN:
+        if (offset.magnitude < params.mouseForceRadius) {
+          boid.stunTime = Math.max(boid.stunTime, preset.stunDuration);
+        }
+        break;
+      case RippleType.ATTRACT:
+        boid.applyForce(origin, -scale, params.mouseForceRadius);
+        break;
+      case RippleType.REPEL:
+      default:
+        boid.applyForce(origin, scale, params.mouseForceRadius);
+        break;
+    }
   }
 
   /**
-   * Sets the current mouse position.
+   * Adds obstacle avoidance and, with `BoundaryMode.CONTAIN`, turning away from the walls to the boid's acceleration.
    *
-   * @param {Vector2D} vec - The new mouse position.
+   * @param {Boid} boid - The boid.
+   * @param {SimulationParams} params - The parameters of the boid.
+   * @private
    */
-  setMousePos(vec) {
-    this.mousePos.set(vec.x, vec.y);
+  applySteering(boid, params) {
+    if (this.obstacles.length > 0) {
+      const avoidance = boid.avoidObstacles(this.obstacles, params);
+      avoidance.scale(params.obstacleImpact);
+      boid.acceleration.add(avoidance);
+    }
+
+    if (this.boundaryMode === BoundaryMode.CONTAIN) {
+      const containment = boid.contain(this.boundaries, params);
+      containment.scale(params.containImpact);
+      boid.acceleration.add(containment);
+    }
   }
 
   /**
-   * Sets the new bounds.
+   * Sets the acceleration of a boid in a formation. Members only keep their distance to flockmates instead of flocking,
+   * the leader moves according to the `LeaderMode` and the followers keep their slots.
    *
-   * @param {number} newWidth - The new width.
-   * @param {number} newHeight - The new height.
-   * @param {number} [newMargin=undefined] - The new margin. If left to be `undefined`, sets current margin.
+   * @param {Boid} boid - The leader or follower.
+   * @param {Array<{ boid: Boid, offset: Vector2D, distance: number }>} flockmates - The flockmates within perception radius.
+   * @param {SimulationParams} params - The parameters of the boid.
+   * @private
    */
-  setBounds(newWidth, newHeight, newMargin = undefined) {
-    newWidth = Math.max(1, newMargin);
-    newHeight = Math.max(1, newHeight);
-    const margin =
-      typeof newMargin !== "undefined" ? newMargin : this.boundaries.margin;
-    this.boundaries = {
-      width: newWidth + margin * 2,
-      height: newHeight + margin * 2,
-      left: -margin,
-      top: -margin,
-      margin: margin,
-    };
+  steerInFormation(boid, flockmates, params) {
+    const formation = boid.formation;
+    const isLeader = formation.leader === boid;
+    // the leader ignores its followers, otherwise they would push it along
+    const others = isLeader
+      ? flockmates.filter((n) => n.boid.formation !== formation)
+      : flockmates;
+
+    boid.acceleration.set(0, 0);
+    const avoidance = boid.separate(boid.perceive(others, params), params);
+    avoidance.scale(params.avoidanceImpact);
+    boid.acceleration.add(avoidance);
+
+    if (isLeader) {
+      if (formation.mode === LeaderMode.CURSOR && this.isMouseOver) {
+        const offset = this.grid.offset(boid.position, this.mousePos);
+        boid.acceleration.add(boid.arrive(offset, params));
+      }
+      return;
+    }
+
+    const slot = formation.slotPosition(formation.followers.indexOf(boid));
+    const offset = this.grid.offset(boid.position, slot);
+    const force = boid.followSlot(offset, formation.leader, params);
+    force.scale(params.formationImpact);
+    boid.acceleration.add(force);
   }
 
   /**
-   * Sets style for the creatures
-   * @param {{ fill: string, outline: string, outlineWidth: number, eyesColor: string }} [style={ fill: "#01111c", finFill: "#01111c", outline: "#04080a", outlineWidth: 1.5, eyesColor: "#04080a" }] - The style settings for the animals. To make all animals have different color, set `fill: "random"`.
+   * Adds a formation: a boid of the flock becomes a leader and other boids follow it in slots.
+   *
+   * @param {Object} description - The settings of the formation.
+   * @param {number} description.leader - The id of the leader, see {@link Simulation#getBoid}.
+   * @param {number|number[]} [description.followers=0] - The ids of the followers, or the number of boids of the leader's group closest to it.
+   * @param {FormationType} [description.type=FormationType.V] - The shape of the formation.
+   * @param {number} [description.spacing=30] - The distance between neighbouring slots.
+   * @param {LeaderMode} [description.mode=LeaderMode.FREE] - How the leader moves.
+   * @param {number} [description.pathId=undefined] - The id of the path of the leader for `LeaderMode.PATH`.
+   * @returns {Formation|undefined} The formation, `undefined` if there is no boid of the flock with the id of the leader.
    */
-  setStyle(style) {
-    this.flock.forEach((boid) => {
-      boid.animal.setStyle(JSON.parse(JSON.stringify(style)));
-    });
-  }
-
-  addAnimal(i = 0) {
-    const scale =
-      this.sizesRange[0] +
-      Math.random() * (this.sizesRange[1] - this.sizesRange[0]);
-    const uniqueStyle = JSON.parse(JSON.stringify(this.style));
+  addFormation(description) {
+    const leader = this.getBoid(description.leader);
+    if (!leader || leader.role !== BoidRole.PREY) return undefined;
+    this.leaveFormation(leader);
 
-    let animal;
-    //TODO: weird "snake" visuals and movement, I do not recommend to set to "snake" option
-    switch (this.animalType) {
-      case AnimalType.UNDEFINED:
-        animal = this.customAnimalCallback(
-          i,
-          uniqueStyle,
-          scale,
-          this.isLowRes
+    let followers;
+    if (Array.isArray(description.followers)) {
+      followers = description.followers
+        .map((id) => this.getBoid(id))
+        .filter(
+          (boid, i, list) =>
+            boid &&
+            boid.role === BoidRole.PREY &&
+            boid !== leader &&
+            list.indexOf(boid) === i
         );
-        break;
-      case AnimalType.LIZARD:
-        animal = new Lizard(Vector2D.Zero, uniqueStyle, scale, this.isLowRes);
-        break;
-      case AnimalType.SNAKE:
-        animal = new Snake(Vector2D.Zero, uniqueStyle, scale);
-        break;
-      case AnimalType.FISH:
-      default:
-        animal = new Fish(Vector2D.Zero, uniqueStyle, scale, this.isLowRes);
-        break;
+    } else {
+      followers = this.flock
+        .filter(
+          (boid) =>
+            boid !== leader && boid.group === leader.group && !boid.formation
+        )
+        .map((boid) => ({
+          boid,
+          distance: this.grid.offset(leader.position, boid.position).magnitude,
+        }))
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, description.followers || 0)
+        .map((candidate) => candidate.boid);
     }
-    this.graphicContainers.push(animal.graphicContainer);
-    this.flock.push(
-      new Boid(
-        this.boundaries.width,
-        this.boundaries.height,
-        this.boundaries.left,
-        this.boundaries.top,
-        animal,
-        this.spawnPlace
-      )
+    followers.forEach((boid) => this.leaveFormation(boid));
+
+    const formation = new Formation(
+      this.nextFormationId++,
+      leader,
+      followers,
+      description.type,
+      description.spacing,
+      description.mode,
+      this.paths.find((p) => p.id === description.pathId)
     );
-    return animal;
+    leader.formation = formation;
+    followers.forEach((boid) => (boid.formation = formation));
+    if (formation.mode === LeaderMode.PATH) leader.path = formation.path;
+
+    this.formations.push(formation);
+    return formation;
   }
 
-  updateBoidAmount(amount) {
-    const curAmount = this.flock.length;
-    if (amount < curAmount) {
-      const amountToDelete = curAmount - amount;
-      const itemsToDelete = this.flock.slice(-amountToDelete);
-      itemsToDelete.forEach((boid) => boid.destroy());
-      this.flock = this.flock.slice(0, -amountToDelete);
-      this.graphicContainers = this.graphicContainers.slice(0, -amountToDelete);
-    } else {
-      const amountToAdd = amount - curAmount;
-      for (let i = 0; i < amountToAdd; i++) {
-        const animal = this.addAnimal(amount + i);
-        animal.initPixiGrafics();
+  /**
+   * Changes the shape or the leader mode of a formation.
+   *
+   * @param {number} id - The id of the formation.
+   * @param {Object} changes - The settings to change, any of `type`, `spacing`, `mode` and `pathId`, see {@link Simulation#addFormation}.
+   */
+  setFormation(id, changes) {
+    const formation = this.formations.find((f) => f.id === id);
+    if (!formation) return;
 
-        this.graphicContainer.addChild(animal.graphicContainer);
-      }
+    const leader = formation.leader;
+    if (leader.path === formation.path) leader.path = leader.group.path;
+
+    if (changes.type) formation.type = changes.type;
+    if (typeof changes.spacing === "number")
+      formation.spacing = changes.spacing;
+    if (changes.mode) formation.mode = changes.mode;
+    if ("pathId" in changes) {
+      formation.path = this.paths.find((p) => p.id === changes.pathId);
     }
+    if (formation.mode === LeaderMode.PATH) leader.path = formation.path;
   }
 
-  replaceAnimalType(newAnimalType) {
-    const animalAmount = this.flock.length;
-    this.updateBoidAmount(0);
-    this.animalType = newAnimalType;
-    this.updateBoidAmount(animalAmount);
+  /**
+   * Removes a formation, its boids flock freely again.
+   *
+   * @param {number} id - The id of the formation.
+   */
+  removeFormation(id) {
+    const formation = this.formations.find((f) => f.id === id);
+    if (!formation) return;
+
+    const leader = formation.leader;
+    if (leader.path === formation.path) leader.path = leader.group.path;
+    leader.formation = undefined;
+    formation.followers.forEach((boid) => (boid.formation = undefined));
+    this.formations = this.formations.filter((f) => f !== formation);
   }
-}
 
-/**
- * Enum-like object for specifying renderer types.
- * @readonly
- * @enum {string}
- */
-const RendererType = Object.freeze({
-  CANVAS: "canvas",
-  PIXI: "pixi",
-});
+  /**
+   * Removes all formations.
+   */
+  clearFormations() {
+    this.formations.slice().forEach((f) => this.removeFormation(f.id));
+  }
 
-/**
- * Wrapper class for managing and rendering a simulation on a given canvas using either PIXI or Canvas rendering.
- */
-class SimulationWrapper {
   /**
-   * Creates an instance of SimulationWrapper.
+   * Takes a boid out of its formation. If the boid is the leader, the first follower takes the lead.
    *
-   * @param {HTMLCanvasElement} canvas - The canvas element on which the simulation will be rendered.
-   * @param {Simulation} [simulation=undefined] - The simulation instance to be managed.
-   * @param {RendererType} [renderer=RendererType.PIXI] - The type of renderer to use (PIXI or CANVAS). PIXI is preffered.
-   * @param {string} [background="#082a68"] - The background color of the canvas.
-   * @param {number} [precalculateBy=100] - The number of initial simulation steps to precalculate.
+   * @param {Boid} boid - The boid.
+   * @private
    */
-  constructor(
-    canvas,
-    background = "#061f30",
-    simulation = undefined,
-    renderer = RendererType.PIXI,
-    precalculateBy = 0
-  ) {
-    this.renderer = renderer;
-    this.isTickerActive = true;
+  leaveFormation(boid) {
+    const formation = boid.formation;
+    if (!formation) return;
 
-    if (!simulation) {
-      this.simulation = this.defaultSimulation(canvas);
-    } else {
-      this.simulation = simulation;
+    boid.formation = undefined;
+    if (formation.leader !== boid) {
+      formation.followers = formation.followers.filter((b) => b !== boid);
+      return;
     }
-    this.canvas = canvas;
-    this.background = background;
-    this.canvas.style.background = this.background;
-    this.mousePos = new Vector2D(0, 0);
-    this.isInteractable = false;
-    this._mousemoveListener = (event) => {
-      const pos = getMousePos(this.canvas, event);
-      this.mousePos.set(pos.x, pos.y);
-      this.simulation.setMousePos(pos);
-    };
-    this._mousedownListener = (event) => {
-      this.simulation.addPoint();
-    };
-    this.lastTime = performance.now();
 
-    for (let i = 0; i < Math.min(precalculateBy, 1000); i++) {
-      this.simulation.update(1);
+    if (boid.path === formation.path) boid.path = boid.group.path;
+    if (formation.followers.length === 0) {
+      this.formations = this.formations.filter((f) => f !== formation);
+      return;
     }
-    switch (this.renderer) {
-      case RendererType.CANVAS:
-        this.ctx = canvas.getContext("2d");
-        this.initCanvas();
-        break;
-      case RendererType.PIXI:
-      default:
-        this.app = new PIXI.Application();
-        this.initPixi();
-        break;
+    formation.leader = formation.followers.shift();
+    if (formation.mode === LeaderMode.PATH) {
+      formation.leader.path = formation.path;
     }
   }
 
   /**
-   * Creates simulation object with default parameters.
-   * @param {HTMLCanvasElement} canvas - The canvas element on which the simulation will be rendered.
+   * Adds the path following force to the boid's acceleration. Once the boid has travelled an open path to its end it is released.
+   *
+   * @param {Boid} boid - The boid with a path.
+   * @param {SimulationParams} params - The parameters of the boid.
+   * @private
+   */
+  steerAlongPath(boid, params) {
+    const path = boid.path;
+    let progress = undefined;
+    if (!path.loop) {
+      if (!boid.pathProgress || boid.pathProgress.path !== path) {
+        boid.pathProgress = { path, along: 0 };
+      }
+      const closest = path.closestPoint(boid.position);
+      // only the part of the path right ahead counts, a boid next to a later part has not travelled there
+      if (
+        closest.distance <= path.radius &&
+        closest.along <=
+          boid.pathProgress.along + path.radius + params.pathLookAhead
+      ) {
+        boid.pathProgress.along = Math.max(
+          boid.pathProgress.along,
+          closest.along
+        );
+      }
+      progress = boid.pathProgress.along;
+
+      if (path.hasReachedEnd(progress)) {
+        boid.path = undefined;
+        boid.pathProgress = undefined;
+        this.emit("pathEnd", { boid, path });
+        return;
+      }
+    }
+
+    const force = boid.followPath(path, params, progress);
+    force.scale(params.pathImpact);
+    boid.acceleration.add(force);
+  }
+
+  /**
+   * Adds a path which boids can be assigned to follow, see {@link Simulation#setGroupPath} and {@link Simulation#setAnimalPath}.
+   *
+   * @param {Object} description - The settings of the path, e.g. `{ points: [{ x, y }, ...], radius: 40, loop: true, smooth: true }`. See {@link Path}.
+   * @returns {Path} The path.
+   */
+  addPath(description) {
+    const path = new Path(this.nextPathId++, description);
+    this.paths.push(path);
+    return path;
+  }
+
+  /**
+   * Removes a path, the boids following it are released.
+   *
+   * @param {number} id - The id of the path.
+   */
+  removePath(id) {
+    const path = this.paths.find((p) => p.id === id);
+    if (!path) return;
+
+    this.paths = this.paths.filter((p) => p !== path);
+    this.groups.forEach((group) => {
+      if (group.path === path) group.path = undefined;
+    });
+    this.formations.forEach((formation) => {
+      if (formation.path === path) formation.path = undefined;
+    });
+    this.boids.forEach((boid) => {
+      if (boid.path === path) boid.path = undefined;
+    });
+  }
+
+  /**
+   * Removes all paths.
+   */
+  clearPaths() {
+    this.paths.slice().forEach((path) => this.removePath(path.id));
+  }
+
+  /**
+   * Makes all boids of a species group follow a path, including boids added to the group later.
+   *
+   * @param {number} groupId - The id of the group.
+   * @param {number} [pathId=undefined] - The id of the path. If `undefined`, the group stops following paths.
+   */
+  setGroupPath(groupId, pathId = undefined) {
+    const group = this.getGroup(groupId);
+    if (!group) return;
+
+    group.path = this.paths.find((p) => p.id === pathId);
+    this.getGroupBoids(group).forEach((boid) => (boid.path = group.path));
+  }
+
+  /**
+   * Makes a single boid of the flock follow a path.
+   *
+   * @param {number} boidId - The id of the boid, see {@link Simulation#getBoid}. The boids created with the simulation have the ids `0` to `numberOfBoids - 1`.
+   * @param {number} [pathId=undefined] - The id of the path. If `undefined`, the boid stops following paths.
+   */
+  setAnimalPath(boidId, pathId = undefined) {
+    const boid = this.getBoid(boidId);
+    if (!boid || boid.role !== BoidRole.PREY) return;
+
+    boid.path = this.paths.find((p) => p.id === pathId);
+  }
+
+  /**
+   * Adds a flow field, e.g. a water current, which pushes the boids.
+   *
+   * @param {FlowField|Object} field - The field, either an instance of a {@link FlowField} subclass or a plain description for {@link createFlowField}, e.g. `{ type: "vortex", x, y, radius, strength }`. Only descriptions can be sent to a worker.
+   * @returns {FlowField} The field.
+   */
+  addFlowField(field) {
+    if (typeof field.sample !== "function") {
+      field = createFlowField(field, this.random);
+    }
+    field.id = this.nextFlowFieldId++;
+    this.flowFields.push(field);
+    return field;
+  }
+
+  /**
+   * Removes a flow field.
+   *
+   * @param {number} id - The id of the field.
+   */
+  removeFlowField(id) {
+    this.flowFields = this.flowFields.filter((field) => field.id !== id);
+  }
+
+  /**
+   * Removes all flow fields.
+   */
+  clearFlowFields() {
+    this.flowFields = [];
+  }
+
+  /**
+   * Sums the forces of all flow fields at a position.
+   *
+   * @param {Vector2D} pos - The position.
+   * @returns {Vector2D} The total force.
+   */
+  sampleFlow(pos) {
+    const force = Vector2D.Zero;
+    this.flowFields.forEach((field) => force.add(field.sample(pos, this.time)));
+    return force;
+  }
+
+  /**
+   * Runs the ecology layer for one step: spawns food, drains the energy of the flock,
+   * steers hungry boids to food and lets them eat it.
+   *
+   * @param {number} deltaTime - The time elapsed since the last update.
+   * @private
+   */
+  updateEcology(deltaTime) {
+    if (
+      this.food.length < this.maxFood &&
+      this.random() < this.foodSpawnRate * deltaTime
+    ) {
+      const margin = this.boundaries.margin;
+      this.addFood(
+        this.random() * (this.boundaries.width - margin * 2),
+        this.random() * (this.boundaries.height - margin * 2)
+      );
+    }
+
+    this.flock.forEach((boid) => {
+      const params = boid.group.params;
+      boid.drainEnergy(deltaTime, params);
+      boid.mateCooldown -= deltaTime;
+
+      const target = this.findFood(boid.position, params.foodRadius);
+      if (!target) return;
+
+      const scale = boid.animal ? boid.animal.scale : 1;
+      if (target.distance < params.eatRadius * scale) {
+        boid.eat(target.food, params);
+        this.removeFood(target.food.id);
+        this.emit("eaten", { boid, food: target.food });
+        return;
+      }
+      boid.acceleration.add(boid.seekFood(target, params));
+    });
+
+    if (this.reproductionEnabled) this.mate();
+  }
+
+  /**
+   * Lets well-fed boids of the same group which meet spawn offspring with a crossover of their genomes.
+   *
+   * @private
+   */
+  mate() {
+    const parents = this.flock.filter((boid) =>
+      boid.canMate(boid.group.params)
+    );
+
+    parents.forEach((boid) => {
+      if (this.flock.length >= this.maxPopulation) return;
+
+      const params = boid.group.params;
+      if (!boid.canMate(params)) return;
+
+      const scale = boid.animal ? boid.animal.scale : 1;
+      const partner = this.grid
+        .query(boid.position, params.mateRadius * scale, boid)
+        .find((n) => n.boid.group === boid.group && n.boid.canMate(params));
+      if (!partner) return;
+
+      this.breed(boid, partner.boid);
+    });
+  }
+
+  /**
+   * Spawns the offspring of two boids between them. The parents spend energy and rest for `mateCooldown` steps.
+   *
+   * @param {Boid} parent1 - The first parent.
+   * @param {Boid} parent2 - The second parent.
+   * @returns {Boid|undefined} The offspring, `undefined` if the simulation is a mirror, its births arrive with the frames.
+   */
+  breed(parent1, parent2) {
+    const params = parent1.group.params;
+    const genome = parent1.genome
+      .crossover(parent2.genome, this.random)
+      .mutate(params.mutationRate, params.mutationAmount, this.random);
+
+    if (!this.addAnimal(this.flock.length, parent1.group, genome)) {
+      return undefined;
+    }
+    const child = this.flock[this.flock.length - 1];
+
+    const offset = this.grid.offset(parent1.position, parent2.position);
+    child.moveTo(
+      parent1.position.x + offset.x / 2,
+      parent1.position.y + offset.y / 2
+    );
+    child.velocity = Vector2D.add(parent1.velocity, parent2.velocity);
+    child.velocity.div(2);
+    child.energy = params.mateCost;
+
+    [parent1, parent2].forEach((parent) => {
+      parent.energy -= params.mateCost;
+      parent.mateCooldown = params.mateCooldown;
+    });
+
+    this.emit("born", { child, parents: [parent1, parent2] });
+    return child;
+  }
+
+  /**
+   * Finds the closest food pellet.
+   *
+   * @param {Vector2D} pos - The position to search from.
+   * @param {number} radius - The search radius.
+   * @returns {{ food: Food, offset: Vector2D, distance: number }|undefined} The closest pellet with the offset from `pos` to it and the distance, `undefined` if there is none within the radius.
+   */
+  findFood(pos, radius) {
+    let closest = undefined;
+    this.food.forEach((food) => {
+      const offset = this.grid.offset(pos, food.pos);
+      const distance = offset.magnitude;
+      if (distance < radius && (!closest || distance < closest.distance)) {
+        closest = { food, offset, distance };
+      }
+    });
+    return closest;
+  }
+
+  /**
+   * Turns the ecology layer on or off. With the ecology boids get hungry, seek food and grow.
+   *
+   * @param {boolean} enabled - Whether the ecology is enabled.
+   * @param {number} [foodSpawnRate=undefined] - The chance of a new pellet per step. If `undefined`, the current rate is kept.
+   * @param {number} [maxFood=undefined] - The maximum number of spawned pellets. If `undefined`, the current maximum is kept.
+   */
+  setEcology(enabled, foodSpawnRate = undefined, maxFood = undefined) {
+    this.ecologyEnabled = enabled;
+    if (typeof foodSpawnRate !== "undefined")
+      this.foodSpawnRate = foodSpawnRate;
+    if (typeof maxFood !== "undefined") this.maxFood = maxFood;
+  }
+
+  /**
+   * Turns reproduction of well-fed boids on or off. Only works with the ecology enabled, see {@link Simulation#setEcology}.
+   *
+   * @param {boolean} enabled - Whether boids reproduce.
+   * @param {number} [maxPopulation=undefined] - The maximum size of the flock. If `undefined`, the current maximum is kept.
+   */
+  setReproduction(enabled, maxPopulation = undefined) {
+    this.reproductionEnabled = enabled;
+    if (typeof maxPopulation !== "undefined")
+      this.maxPopulation = maxPopulation;
+  }
+
+  /**
+   * Adds a food pellet.
+   *
+   * @param {number} x - The x coordinate of the pellet.
+   * @param {number} y - The y coordinate of the pellet.
+   * @param {number} [energy=0.3] - The energy restored by eating the pellet.
+   * @returns {Food} The pellet.
+   */
+  addFood(x, y, energy = 0.3) {
+    const food = new Food(this.nextFoodId++, new Vector2D(x, y), energy);
+    this.food.push(food);
+    return food;
+  }
+
+  /**
+   * Drops a food pellet at the current mouse position.
+   */
+  dropFood() {
+    this.addFood(this.mousePos.x, this.mousePos.y);
+  }
+
+  /**
+   * Removes a food pellet.
+   *
+   * @param {number} id - The id of the pellet.
+   */
+  removeFood(id) {
+    this.food = this.food.filter((food) => food.id !== id);
+  }
+
+  /**
+   * Sets what happens to boids at the boundaries of the simulation area.
+   *
+   * @param {BoundaryMode} mode - The boundary mode.
+   */
+  setBoundaryMode(mode) {
+    this.boundaryMode = mode;
+  }
+
+  /**
+   * Adds a static obstacle the boids steer around.
+   *
+   * @param {Object} shape - The shape of the obstacle, e.g. `{ type: "circle", x, y, radius }`, `{ type: "rect", x, y, width, height }` or `{ type: "polygon", points }`. See {@link Obstacle}.
+   * @returns {Obstacle} The obstacle.
+   * @throws {Error} If the shape is invalid, see {@link Obstacle.validate}.
+   */
+  addObstacle(shape) {
+    const obstacle = new Obstacle(shape, this.nextObstacleId++);
+    this.obstacles.push(obstacle);
+    return obstacle;
+  }
+
+  /**
+   * Removes an obstacle.
+   *
+   * @param {number} id - The id of the obstacle.
+   */
+  removeObstacle(id) {
+    this.obstacles = this.obstacles.filter((obstacle) => obstacle.id !== id);
+  }
+
+  /**
+   * Removes all obstacles.
+   */
+  clearObstacles() {
+    this.obstacles = [];
+  }
+
+  /**
+   * All boids of the simulation, the flock followed by the predators.
+   * @returns {Boid[]} The boids.
+   */
+  get boids() {
+    return this.predators.length > 0
+      ? this.flock.concat(this.predators)
+      : this.flock;
+  }
+
+  /**
+   * Finds a boid by its id. Unlike indexes, ids stay the same when boids are caught, born or removed.
+   * @param {number} id - The id of the boid, see `Boid.id`.
+   * @returns {Boid|undefined} The boid, `undefined` if there is none with the id.
+   */
+  getBoid(id) {
+    return this.boids.find((boid) => boid.id === id);
+  }
+
+  /**
+   * The type of animal of the first species group, kept from before there were groups.
+   * @returns {AnimalType|undefined} The type, `undefined` if there is no group.
+   */
+  get animalType() {
+    return this.groups[0] ? this.groups[0].animalType : undefined;
+  }
+
+  /**
+   * Sets the type of animal of the first species group for the animals added next, see {@link Simulation#replaceAnimalType}.
+   * @param {AnimalType} animalType - The type.
+   */
+  set animalType(animalType) {
+    if (this.groups[0]) this.groups[0].animalType = animalType;
+  }
+
+  /**
+   * The style of the first species group, kept from before there were groups.
+   * @returns {Object|undefined} The style, `undefined` if there is no group.
+   */
+  get style() {
+    return this.groups[0] ? this.groups[0].style : undefined;
+  }
+
+  /**
+   * Sets the style of the first species group for the animals added next, see {@link Simulation#setStyle}.
+   * @param {Object} style - The style settings for the animals.
+   */
+  set style(style) {
+    if (this.groups[0]) this.groups[0].style = style;
+  }
+
+  /**
+   * The range for the sizes of the animals of the first species group, kept from before there were groups.
+   * @returns {[number, number]|undefined} The range, `undefined` if there is no group.
+   */
+  get sizesRange() {
+    return this.groups[0] ? this.groups[0].sizesRange : undefined;
+  }
+
+  /**
+   * Sets the range for the sizes of the animals of the first species group for the animals added next.
+   * @param {[number, number]} sizesRange - The range.
+   */
+  set sizesRange(sizesRange) {
+    if (this.groups[0]) this.groups[0].sizesRange = sizesRange;
+  }
+
+  /**
+   * Subscribes to a simulation event.
+   * Events:
+   * - `"caught"` - a predator caught prey, receives `{ predator: Boid, prey: Boid }`. Called before `catchBehaviour` is applied.
+   * - `"eaten"` - a boid ate a food pellet, receives `{ boid: Boid, food: Food }`.
+   * - `"born"` - two boids spawned an offspring, receives `{ child: Boid, parents: [Boid, Boid] }`.
+   * - `"pathEnd"` - a boid reached the end of an open path and stopped following it, receives `{ boid: Boid, path: Path }`.
+   *
+   * @param {string} type - The event type.
+   * @param {Function} callback - The listener.
+   */
+  on(type, callback) {
+    if (!this.listeners[type]) this.listeners[type] = [];
+    this.listeners[type].push(callback);
+  }
+
+  /**
+   * Unsubscribes from a simulation event.
+   *
+   * @param {string} type - The event type.
+   * @param {Function} callback - The listener passed to {@link Simulation#on}.
+   */
+  off(type, callback) {
+    if (!this.listeners[type]) return;
+    this.listeners[type] = this.listeners[type].filter((cb) => cb !== callback);
+  }
+
+  /**
+   * Calls the listeners of an event.
+   *
+   * @param {string} type - The event type.
+   * @param {Object} data - The data passed to the listeners.
+   * @private
+   */
+  emit(type, data) {
+    if (!this.listeners[type]) return;
+    this.listeners[type].forEach((callback) => callback(data));
+  }
+
+  /**
+   * Handles prey caught by a predator according to `catchBehaviour`.
+   *
+   * @param {{ predator: Boid, prey: Boid }} caught - The predator and its prey.
+   * @private
+   */
+  handleCatch(caught) {
+    // the same prey can be caught by several predators in one step
+    if (!this.flock.includes(caught.prey)) return;
+
+    this.emit("caught", caught);
+
+    switch (this.catchBehaviour) {
+      case CatchBehaviour.REMOVE:
+        this.removeBoid(caught.prey);
+        break;
+      case CatchBehaviour.RESPAWN:
+        this.removeBoid(caught.prey);
+        this.addAnimal(this.flock.length, caught.prey.group);
+        break;
+      case CatchBehaviour.NONE:
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Stores the current state of all animals as the previous state for render interpolation.
+   * Should be called before each fixed simulation step.
+   */
+  savePreviousState() {
+    this.boids.forEach((boid) => boid.animal.savePreviousState());
+  }
+
+  /**
+   * Moves all animals between the previous and the current state for rendering.
+   * Must be followed by {@link Simulation#endInterpolation} once the frame is drawn.
+   *
+   * @param {number} alpha - The interpolation factor between the previous (`0`) and the current (`1`) state.
+   */
+  beginInterpolation(alpha) {
+    this.boids.forEach((boid) => boid.animal.beginInterpolation(alpha));
+  }
+
+  /**
+   * Restores the state of all animals changed by {@link Simulation#beginInterpolation}.
+   */
+  endInterpolation() {
+    this.boids.forEach((boid) => boid.animal.endInterpolation());
+  }
+
+  /**
+   * Gets the state of the boids and the food for a mirror of the simulation, see {@link Simulation#applyFrame}.
+   * Boids are identified by their ids, boids the mirror does not know yet are described in full.
+   *
+   * @param {Set<number>} knownIds - The ids of the boids the mirror already has.
+   * @returns {{ time: number, ids: Float64Array, positions: Float32Array, velocities: Float32Array, scales: Float32Array, spawned: Object[], food: Object[] }} The frame.
+   * Positions and velocities are flat `[x0, y0, x1, y1, ...]` arrays and scales hold the animal scales, all in the order of `ids`.
+   * `spawned` holds boids and `food` the pellets of {@link Simulation#toJSON}.
+   */
+  getFrame(knownIds) {
+    const boids = this.boids;
+    const ids = new Float64Array(boids.length);
+    const positions = new Float32Array(boids.length * 2);
+    const velocities = new Float32Array(boids.length * 2);
+    const scales = new Float32Array(boids.length);
+    boids.forEach((boid, i) => {
+      ids[i] = boid.id;
+      positions[2 * i] = boid.position.x;
+      positions[2 * i + 1] = boid.position.y;
+      velocities[2 * i] = boid.velocity.x;
+      velocities[2 * i + 1] = boid.velocity.y;
+      scales[i] = boid.animal ? boid.animal.scale : 1;
+    });
+    return {
+      time: this.time,
+      ids,
+      positions,
+      velocities,
+      scales,
+      food: this.food.map((food) => food.toJSON()),
+      spawned: boids
+        .filter((boid) => !knownIds.has(boid.id))
+        .map((boid) => this.describeBoid(boid)),
+    };
+  }
+
+  /**
+   * Brings a mirror up to date with a frame of the simulation it displays, e.g. one stepped in a worker.
+   * The frame decides which boids and food pellets exist: boids missing from it are removed, spawned boids are created.
+   * The flocking rules are not run.
+   *
+   * @param {Object} frame - The frame of {@link Simulation#getFrame}.
+   */
+  applyFrame(frame) {
+    this.time = frame.time;
+    this.ripples.update(frame.time);
+
+    const boidsById = new Map(this.boids.map((boid) => [boid.id, boid]));
+    frame.spawned.forEach((saved, i) => {
+      const boid = this.restoreSpawned(saved, i);
+      if (!boid) return;
+
+      const existing = boidsById.get(saved.id);
+      if (existing) existing.destroy();
+      boidsById.set(saved.id, boid);
+    });
+
+    const flock = [];
+    const predators = [];
+    const { ids, positions, velocities, scales } = frame;
+    ids.forEach((id, i) => {
+      const boid = boidsById.get(id);
+      if (!boid) return;
+      boidsById.delete(id);
+
+      // grown by eating
+      if (boid.animal) boid.animal.scale = scales[i];
+      boid.moveTo(positions[2 * i], positions[2 * i + 1]);
+      boid.velocity.set(velocities[2 * i], velocities[2 * i + 1]);
+      if (boid.role === BoidRole.PREDATOR) predators.push(boid);
+      else flock.push(boid);
+    });
+    // the rest was removed where the simulation is stepped
+    boidsById.forEach((boid) => {
+      this.leaveFormation(boid);
+      boid.destroy();
+    });
+    this.flock = flock;
+    this.predators = predators;
+
+    // known pellets are kept, the renderers map their graphics by pellet
+    const foodById = new Map(this.food.map((food) => [food.id, food]));
+    this.food = frame.food.map(
+      (food) =>
+        foodById.get(food.id) ||
+        new Food(
+          food.id,
+          Vector2D.fromObject(food.pos),
+          food.energy,
+          food.radius,
+          food.color
+        )
+    );
+  }
+
+  /**
+   * Creates a boid of a frame which the mirror does not have yet.
+   *
+   * @param {Object} saved - The boid, see {@link Simulation#describeBoid}.
+   * @param {number} i - The index of the animal, passed to `customAnimalCallback`.
+   * @returns {Boid|undefined} The boid, `undefined` if its group is unknown.
+   * @private
+   */
+  restoreSpawned(saved, i) {
+    if (saved.role === BoidRole.PREDATOR) {
+      const boid = this.restoreBoid(
+        saved,
+        this.predatorType,
+        this.predatorStyle,
+        i
+      );
+      boid.role = BoidRole.PREDATOR;
+      return boid;
+    }
+
+    const group = this.getGroup(saved.group);
+    if (!group) return undefined;
+    const boid = this.restoreBoid(saved, group.animalType, group.style, i);
+    boid.group = group;
+    return boid;
+  }
+
+  /**
+   * Describes a boid with the pose of its animal as plain data, see {@link Simulation#restoreBoid}.
+   *
+   * @param {Boid} boid - The boid.
+   * @returns {Object} The description.
+   * @private
+   */
+  describeBoid(boid) {
+    return {
+      id: boid.id,
+      role: boid.role,
+      group: boid.group ? boid.group.id : undefined,
+      position: { x: boid.position.x, y: boid.position.y },
+      velocity: { x: boid.velocity.x, y: boid.velocity.y },
+      energy: boid.energy,
+      baseScale: boid.baseScale,
+      mateCooldown: boid.mateCooldown,
+      wanderAngle: boid.wanderAngle,
+      speedVariation: boid.speedVariation,
+      stunTime: boid.stunTime,
+      pathId: boid.path ? boid.path.id : undefined,
+      pathProgress:
+        boid.pathProgress && boid.pathProgress.path === boid.path
+          ? boid.pathProgress.along
+          : undefined,
+      genome: boid.genome ? { ...boid.genome } : undefined,
+      shape: { ...Genome.fromAnimal(boid.animal) },
+      animal: boid.animal.toJSON(),
+    };
+  }
+
+  /**
+   * Converts the simulation to plain data: parameters, boundaries, species groups, boids with the poses of their animals,
+   * obstacles, food, attractors, paths, formations, flow fields and ripples. Custom flow fields are left out.
+   * `JSON.stringify(simulation)` uses it, {@link Simulation.fromJSON} and {@link Simulation#restore} load it.
+   *
+   * @returns {Object} The snapshot.
+   */
+  toJSON() {
+    return {
+      version: 1,
+      seed: this.seed,
+      // position in the sequence of random numbers, `undefined` without a seed
+      randomState: this.random.getState ? this.random.getState() : undefined,
+      time: this.time,
+      boundaries: { ...this.boundaries },
+      boundaryMode: this.boundaryMode,
+      params: { ...this.params },
+      predatorParams: { ...this.predatorParams },
+      predatorType: this.predatorType,
+      predatorSizesRange: this.predatorSizesRange.slice(),
+      predatorStyle: JSON.parse(JSON.stringify(this.predatorStyle)),
+      catchBehaviour: this.catchBehaviour,
+      isLowRes: this.isLowRes,
+      spawnPlace: this.spawnPlace,
+      maxRipples: this.ripples.maxRipples,
+      ripples: this.ripples.toJSON(),
+      ripplePresets: JSON.parse(JSON.stringify(this.ripples.presets)),
+      ecologyEnabled: this.ecologyEnabled,
+      reproductionEnabled: this.reproductionEnabled,
+      maxPopulation: this.maxPopulation,
+      foodSpawnRate: this.foodSpawnRate,
+      maxFood: this.maxFood,
+      groups: this.groups.map((group) => ({
+        id: group.id,
+        animalType: group.animalType,
+        // the first group usually shares the simulation parameters
+        params: group.params === this.params ? undefined : { ...group.params },
+        sizesRange: group.sizesRange.slice(),
+        style: JSON.parse(JSON.stringify(group.style)),
+        avoidOthers: group.avoidOthers,
+        pathId: group.path ? group.path.id : undefined,
+      })),
+      nextGroupId: this.nextGroupId,
+      flock: this.flock.map((boid) => this.describeBoid(boid)),
+      predators: this.predators.map((boid) => this.describeBoid(boid)),
+      nextBoidId: this.nextBoidId,
+      obstacles: this.obstacles.map((obstacle) => ({
+        id: obstacle.id,
+        shape: obstacle.toJSON(),
+      })),
+      nextObstacleId: this.nextObstacleId,
+      food: this.food.map((food) => food.toJSON()),
+      nextFoodId: this.nextFoodId,
+      attractors: this.attractors.map((attractor) => attractor.toJSON()),
+      nextAttractorId: this.nextAttractorId,
+      mouseAttractor: this.mouseAttractor
+        ? {
+            strength: this.mouseAttractor.strength,
+            radius: this.mouseAttractor.radius,
+            falloff: this.mouseAttractor.falloff,
+          }
+        : undefined,
+      pointerAttractor: { ...this.pointerAttractor },
+      paths: this.paths.map((path) => path.toJSON()),
+      nextPathId: this.nextPathId,
+      formations: this.formations.map((formation) => ({
+        id: formation.id,
+        leader: formation.leader.id,
+        followers: formation.followers.map((boid) => boid.id),
+        type: formation.type,
+        spacing: formation.spacing,
+        mode: formation.mode,
+        pathId: formation.path ? formation.path.id : undefined,
+      })),
+      nextFormationId: this.nextFormationId,
+      flowFields: this.flowFields
+        .map((field) => ({ id: field.id, description: field.toJSON() }))
+        .filter((field) => typeof field.description !== "undefined"),
+      nextFlowFieldId: this.nextFlowFieldId,
+    };
+  }
+
+  /**
+   * Creates a simulation from a snapshot of {@link Simulation#toJSON}.
+   *
+   * @param {Object} data - The snapshot, e.g. parsed from JSON.
+   * @param {customAnimalCallback} [customAnimalCallback=undefined] - The callback for animals of `AnimalType.UNDEFINED`, functions are not part of snapshots.
+   * @returns {Simulation} The simulation.
+   */
+  static fromJSON(data, customAnimalCallback = undefined) {
+    const bounds = data.boundaries;
+    const simulation = new Simulation(
+      0,
+      {
+        width: bounds.width - bounds.margin * 2,
+        height: bounds.height - bounds.margin * 2,
+        margin: bounds.margin,
+      },
+      Object.assign(new SimulationParams(), data.params),
+      undefined,
+      undefined,
+      AnimalType.FISH,
+      data.isLowRes,
+      data.spawnPlace,
+      data.maxRipples,
+      customAnimalCallback,
+      data.seed
+    );
+    simulation.restore(data);
+    return simulation;
+  }
+
+  /**
+   * Replaces the state of the simulation with a snapshot of {@link Simulation#toJSON}. The animals are created anew,
+   * renderers create their graphics on the next render. Listeners and the renderer settings are kept.
+   * With a seed, the random numbers continue where the snapshot left off. Snapshots without the state of the sequence,
+   * e.g. with a seed added afterwards, continue from a sequence derived from the seed and the time of the snapshot.
+   * The parameters are updated in place, so the first group and other holders of `params` keep sharing them.
+   *
+   * @param {Object} data - The snapshot, e.g. parsed from JSON.
+   */
+  restore(data) {
+    this.boids.forEach((boid) => boid.destroy());
+    this.flock = [];
+    this.predators = [];
+    this.formations = [];
+
+    this.seed = data.seed;
+    this.time = data.time;
+    this.random =
+      typeof data.seed !== "undefined"
+        ? seededRandom(data.seed + Math.floor(data.time))
+        : Math.random;
+
+    this.boundaries = { ...data.boundaries };
+    this.boundaryMode = data.boundaryMode;
+    Object.assign(this.params, new SimulationParams(), data.params);
+    Object.assign(
+      this.predatorParams,
+      new SimulationParams(),
+      data.predatorParams
+    );
+    this.predatorType = data.predatorType;
+    this.predatorSizesRange = data.predatorSizesRange.slice();
+    this.predatorStyle = JSON.parse(JSON.stringify(data.predatorStyle));
+    this.catchBehaviour = data.catchBehaviour;
+    this.isLowRes = data.isLowRes;
+    this.spawnPlace = data.spawnPlace;
+    this.ecologyEnabled = data.ecologyEnabled;
+    this.reproductionEnabled = data.reproductionEnabled;
+    this.maxPopulation = data.maxPopulation;
+    this.foodSpawnRate = data.foodSpawnRate;
+    this.maxFood = data.maxFood;
+    if (data.ripplePresets) {
+      Object.keys(data.ripplePresets).forEach((type) =>
+        this.ripples.setPreset(type, data.ripplePresets[type])
+      );
+    }
+    this.ripples.restore(data.ripples || []);
+
+    this.paths = data.paths.map((path) => new Path(path.id, path));
+    this.nextPathId = data.nextPathId;
+    const findPath = (id) => this.paths.find((path) => path.id === id);
+
+    this.groups = data.groups.map((saved) => {
+      const params = saved.params
+        ? Object.assign(new SimulationParams(), saved.params)
+        : this.params;
+      const group = new SpeciesGroup(
+        saved.id,
+        saved.animalType,
+        params,
+        saved.sizesRange,
+        saved.style,
+        saved.avoidOthers
+      );
+      group.path = findPath(saved.pathId);
+      return group;
+    });
+    this.nextGroupId = data.nextGroupId;
+
+    this.obstacles = data.obstacles.map(
+      (obstacle) => new Obstacle(obstacle.shape, obstacle.id)
+    );
+    this.nextObstacleId = data.nextObstacleId;
+    this.food = data.food.map(
+      (food) =>
+        new Food(
+          food.id,
+          Vector2D.fromObject(food.pos),
+          food.energy,
+          food.radius,
+          food.color
+        )
+    );
+    this.nextFoodId = data.nextFoodId;
+    this.attractors = data.attractors.map(
+      (attractor) => new Attractor(attractor.id, attractor, attractor.createdAt)
+    );
+    this.nextAttractorId = data.nextAttractorId;
+    this.mouseAttractor = undefined;
+    if (data.mouseAttractor) {
+      const { strength, radius, falloff } = data.mouseAttractor;
+      this.setMouseAttractor(strength, radius, falloff);
+    }
+    if (data.pointerAttractor) {
+      const { strength, radius, falloff } = data.pointerAttractor;
+      this.setPointerAttractor(strength, radius, falloff);
+    }
+    this.flowFields = data.flowFields.map((saved) => {
+      const field = createFlowField(saved.description, this.random);
+      field.id = saved.id;
+      return field;
+    });
+    this.nextFlowFieldId = data.nextFlowFieldId;
+
+    data.flock.forEach((saved, i) => {
+      const group = this.getGroup(saved.group);
+      const boid = this.restoreBoid(saved, group.animalType, group.style, i);
+      boid.group = group;
+      this.flock.push(boid);
+    });
+    data.predators.forEach((saved, i) => {
+      const boid = this.restoreBoid(
+        saved,
+        this.predatorType,
+        this.predatorStyle,
+        i
+      );
+      boid.role = BoidRole.PREDATOR;
+      this.predators.push(boid);
+    });
+
+    data.formations.forEach((saved) => {
+      const leader = this.getBoid(saved.leader);
+      if (!leader) return;
+
+      const formation = new Formation(
+        saved.id,
+        leader,
+        saved.followers.map((id) => this.getBoid(id)).filter(Boolean),
+        saved.type,
+        saved.spacing,
+        saved.mode,
+        findPath(saved.pathId)
+      );
+      leader.formation = formation;
+      formation.followers.forEach((boid) => (boid.formation = formation));
+      this.formations.push(formation);
+    });
+    this.nextFormationId = data.nextFormationId;
+    if (typeof data.nextBoidId === "number") this.nextBoidId = data.nextBoidId;
+    // the animals and noise fields above drew from the sequence while they were created
+    if (typeof data.randomState === "number" && this.random.setState) {
+      this.random.setState(data.randomState);
+    }
+  }
+
+  /**
+   * Creates a boid with its animal from a snapshot.
+   *
+   * @param {Object} saved - The boid of the snapshot.
+   * @param {AnimalType} animalType - The type of the animal.
+   * @param {Object} style - The style of the group, replaced by the saved style of the animal.
+   * @param {number} i - The index of the animal, passed to `customAnimalCallback`.
+   * @returns {Boid} The boid.
+   * @private
+   */
+  restoreBoid(saved, animalType, style, i) {
+    const shape = new Genome(saved.shape);
+    const animal = this.createAnimal(
+      animalType,
+      style,
+      [shape.scale, shape.scale],
+      i
+    );
+    shape.applyTo(animal);
+    animal.restoreState(saved.animal);
+
+    const boid = this.createBoid(animal);
+    // snapshots without ids keep the new ones
+    if (typeof saved.id === "number") boid.id = saved.id;
+    boid.position = Vector2D.fromObject(saved.position);
+    boid.velocity = Vector2D.fromObject(saved.velocity);
+    boid.energy = saved.energy;
+    boid.baseScale = saved.baseScale;
+    boid.mateCooldown = saved.mateCooldown;
+    boid.wanderAngle = saved.wanderAngle;
+    boid.speedVariation = saved.speedVariation;
+    boid.stunTime = saved.stunTime || 0;
+    boid.genome = saved.genome ? new Genome(saved.genome) : undefined;
+    boid.path = this.paths.find((path) => path.id === saved.pathId);
+    if (boid.path && typeof saved.pathProgress === "number") {
+      boid.pathProgress = { path: boid.path, along: saved.pathProgress };
+    }
+    return boid;
+  }
+
+  /**
+   * Adds a new ripple point at the current mouse position or at a given position.
+   *
+   * @param {RippleType} [type=RippleType.REPEL] - The ripple type.
+   * @param {{ x: number, y: number }} [pos=undefined] - The position of the ripple, e.g. of a touch. If `undefined`, the mouse position is used.
+   */
+  addPoint(type = RippleType.REPEL, pos = undefined) {
+    const point = pos
+      ? Vector2D.fromObject(pos)
+      : Vector2D.fromVec2D(this.mousePos);
+    this.ripples.addPoint(point, this.time, type);
+  }
+
+  /**
+   * Changes the look, speed, lifetime or effect of a ripple type, see {@link RipplesManager#setPreset}.
+   *
+   * @param {RippleType} type - The ripple type.
+   * @param {Object} changes - The changed settings of the preset.
+   */
+  setRipplePreset(type, changes) {
+    this.ripples.setPreset(type, changes);
+  }
+
+  /**
+   * Sets the current mouse position.
+   *
+   * @param {Vector2D} vec - The new mouse position.
+   */
+  setMousePos(vec) {
+    this.mousePos.set(vec.x, vec.y);
+    this.isMouseOver = true;
+  }
+
+  /**
+   * Marks the mouse as outside of the simulation area, so the mouse attractor stops acting.
+   */
+  clearMousePos() {
+    this.isMouseOver = false;
+  }
+
+  /**
+   * Makes the cursor a continuous attractor or repeller while it hovers the simulation.
+   *
+   * @param {number} strength - The force at the cursor. Positive values attract, negative values repel, `0` turns the cursor force off.
+   * @param {number} [radius=150] - The radius of effect.
+   * @param {AttractorFalloff} [falloff=AttractorFalloff.LINEAR] - How the force fades with distance.
+   */
+  setMouseAttractor(strength, radius = 150, falloff = undefined) {
+    this.mouseAttractor =
+      strength !== 0
+        ? new Attractor(-1, {
+            x: this.mousePos.x,
+            y: this.mousePos.y,
+            strength,
+            radius,
+            falloff,
+          })
+        : undefined;
+  }
+
+  /**
+   * Adds or moves an active touch. Every touch is an attractor point while it lasts, see {@link Simulation#setPointerAttractor}.
+   *
+   * @param {number} id - The pointer id of the touch.
+   * @param {{ x: number, y: number }} pos - The position of the touch.
+   */
+  setPointer(id, pos) {
+    const pointer = this.pointers.get(id);
+    if (pointer) {
+      pointer.pos.set(pos.x, pos.y);
+      return;
+    }
+    this.pointers.set(
+      id,
+      new Attractor(-1, { x: pos.x, y: pos.y, ...this.pointerAttractor })
+    );
+  }
+
+  /**
+   * Removes an active touch, e.g. when the finger is lifted.
+   *
+   * @param {number} id - The pointer id of the touch.
+   */
+  removePointer(id) {
+    this.pointers.delete(id);
+  }
+
+  /**
+   * Removes all active touches.
+   */
+  clearPointers() {
+    this.pointers.clear();
+  }
+
+  /**
+   * Sets the force of the active touches, see {@link Simulation#setPointer}.
+   *
+   * @param {number} strength - The force at a touch. Positive values attract, negative values repel, `0` turns the touch force off.
+   * @param {number} [radius=150] - The radius of effect.
+   * @param {AttractorFalloff} [falloff=AttractorFalloff.LINEAR] - How the force fades with distance.
+   */
+  setPointerAttractor(strength, radius = 150, falloff = undefined) {
+    this.pointerAttractor = { strength, radius, falloff };
+    this.pointers.forEach((pointer, id) =>
+      this.pointers.set(
+        id,
+        new Attractor(-1, {
+          x: pointer.pos.x,
+          y: pointer.pos.y,
+          strength,
+          radius,
+          falloff,
+        })
+      )
+    );
+  }
+
+  /**
+   * Adds a persistent attractor or repeller.
+   *
+   * @param {Object} description - The settings of the attractor, e.g. `{ x, y, strength: -0.5, radius: 200, lifetime: 600 }`. See {@link Attractor}.
+   * @returns {Attractor} The attractor.
+   */
+  addAttractor(description) {
+    const attractor = new Attractor(
+      this.nextAttractorId++,
+      description,
+      this.time
+    );
+    this.attractors.push(attractor);
+    return attractor;
+  }
+
+  /**
+   * Moves an attractor.
+   *
+   * @param {number} id - The id of the attractor.
+   * @param {number} x - The new x coordinate.
+   * @param {number} y - The new y coordinate.
+   */
+  moveAttractor(id, x, y) {
+    const attractor = this.attractors.find((a) => a.id === id);
+    if (attractor) attractor.pos.set(x, y);
+  }
+
+  /**
+   * Removes an attractor.
+   *
+   * @param {number} id - The id of the attractor.
+   */
+  removeAttractor(id) {
+    this.attractors = this.attractors.filter((a) => a.id !== id);
+  }
+
+  /**
+   * Removes all attractors.
+   */
+  clearAttractors() {
+    this.attractors = [];
+  }
+
+  /**
+   * Sets the new bounds.
+   *
+   * @param {number} newWidth - The new width.
+   * @param {number} newHeight - The new height.
+   * @param {number} [newMargin=undefined] - The new margin. If left to be `undefined`, sets current margin.
+   */
+  setBounds(newWidth, newHeight, newMargin = undefined) {
+    newWidth = Math.max(1, newWidth);
+    newHeight = Math.max(1, newHeight);
+    const margin =
+      typeof newMargin !== "undefined" ? newMargin : this.boundaries.margin;
+    this.boundaries = {
+      width: newWidth + margin * 2,
+      height: newHeight + margin * 2,
+      left: -margin,
+      top: -margin,
+      margin: margin,
+    };
+  }
+
+  /**
+   * Sets style for the creatures of a group
+   * @param {{ fill: string, outline: string, outlineWidth: number, eyesColor: string }} [style={ fill: "#01111c", finFill: "#01111c", outline: "#04080a", outlineWidth: 1.5, eyesColor: "#04080a" }] - The style settings for the animals. To make all animals have different color, set `fill: "random"`.
+   * @param {number} [groupId=undefined] - The id of the group. If `undefined`, the first group is used.
+   */
+  setStyle(style, groupId = undefined) {
+    const group = this.getGroup(groupId);
+    if (!group) return;
+
+    group.style = JSON.parse(JSON.stringify(style));
+    this.getGroupBoids(group).forEach((boid) => {
+      boid.animal.setStyle(JSON.parse(JSON.stringify(style)));
+    });
+  }
+
+  /**
+   * Gets a species group.
+   *
+   * @param {number} [id=undefined] - The id of the group. If `undefined`, the first group is returned.
+   * @returns {SpeciesGroup|undefined} The group, `undefined` if there is no such group.
+   */
+  getGroup(id = undefined) {
+    if (typeof id === "undefined") return this.groups[0];
+    return this.groups.find((group) => group.id === id);
+  }
+
+  /**
+   * Gets the boids of a species group.
+   *
+   * @param {SpeciesGroup} group - The group.
+   * @returns {Boid[]} The boids of the group in flock order.
+   */
+  getGroupBoids(group) {
+    return this.flock.filter((boid) => boid.group === group);
+  }
+
+  /**
+   * Adds a species group to the flock.
+   *
+   * @param {AnimalType} animalType - The type of animal of the group. See {@link AnimalType}.
+   * @param {number} amount - The number of boids in the group.
+   * @param {Object} [params=undefined] - The parameters for the behaviour of the group, see {@link SimulationParams}. Missing parameters are copied from the simulation parameters.
+   * @param {[number, number]} [sizesRange=[1, 1]] - The range for the sizes of the animals.
+   * @param {{ fill: string, outline: string, outlineWidth: number, eyesColor: string }} [style=undefined] - The style settings for the animals. If `undefined`, the style of the first group is used.
+   * @param {boolean} [avoidOthers=false] - Whether the boids keep their distance to boids of other groups.
+   * @returns {SpeciesGroup} The group.
+   */
+  addGroup(
+    animalType,
+    amount,
+    params = undefined,
+    sizesRange = [1, 1],
+    style = undefined,
+    avoidOthers = false
+  ) {
+    const group = new SpeciesGroup(
+      this.nextGroupId++,
+      animalType,
+      Object.assign(new SimulationParams(), this.params, params),
+      sizesRange,
+      style || (this.groups[0] ? this.groups[0].style : undefined),
+      avoidOthers
+    );
+    this.groups.push(group);
+    this.updateGroupAmount(group.id, amount);
+    return group;
+  }
+
+  /**
+   * Removes a species group with all its boids.
+   *
+   * @param {number} id - The id of the group.
+   */
+  removeGroup(id) {
+    const group = this.getGroup(id);
+    if (!group) return;
+
+    this.getGroupBoids(group).forEach((boid) => this.removeBoid(boid));
+    this.groups = this.groups.filter((g) => g !== group);
+  }
+
+  /**
+   * Adds or removes boids of a species group to match the amount.
+   *
+   * @param {number} id - The id of the group.
+   * @param {number} amount - The new number of boids in the group.
+   */
+  updateGroupAmount(id, amount) {
+    const group = this.getGroup(id);
+    if (!group) return;
+
+    const boids = this.getGroupBoids(group);
+    boids.slice(Math.max(0, amount)).forEach((boid) => this.removeBoid(boid));
+    for (let i = boids.length; i < amount; i++) {
+      this.addAnimal(i, group);
+    }
+  }
+
+  /**
+   * Changes the parameters of a species group.
+   *
+   * @param {number} id - The id of the group.
+   * @param {Object} params - The parameters to change, see {@link SimulationParams}.
+   * @param {boolean} [avoidOthers=undefined] - Whether the boids keep their distance to boids of other groups. If `undefined`, the setting is kept.
+   */
+  setGroupParams(id, params, avoidOthers = undefined) {
+    const group = this.getGroup(id);
+    if (!group) return;
+
+    Object.assign(group.params, params);
+    if (typeof avoidOthers !== "undefined") group.avoidOthers = avoidOthers;
+  }
+
+  /**
+   * Creates an animal body of the given type with a random scale from the range.
+   *
+   * @param {AnimalType} animalType - The type of the animal.
+   * @param {Object} style - The style settings for the animal. Copied, so it can be shared.
+   * @param {[number, number]} sizesRange - The range for the scale of the animal.
+   * @param {number} [i=0] - The index of the animal, passed to `customAnimalCallback`.
+   * @returns {BodyBase} The animal.
+   */
+  createAnimal(animalType, style, sizesRange, i = 0) {
+    const scale =
+      sizesRange[0] + this.random() * (sizesRange[1] - sizesRange[0]);
+    const uniqueStyle = JSON.parse(JSON.stringify(style));
+
+    let animal;
+    //TODO: weird "snake" visuals and movement, I do not recommend to set to "snake" option
+    switch (animalType) {
+      case AnimalType.UNDEFINED:
+        animal = this.customAnimalCallback(
+          i,
+          uniqueStyle,
+          scale,
+          this.isLowRes,
+          this.random
+        );
+        break;
+      case AnimalType.LIZARD:
+        animal = new Lizard(
+          Vector2D.Zero,
+          uniqueStyle,
+          scale,
+          this.isLowRes,
+          this.random
+        );
+        break;
+      case AnimalType.SNAKE:
+        animal = new Snake(Vector2D.Zero, uniqueStyle, scale, this.random);
+        break;
+      case AnimalType.FISH:
+      default:
+        animal = new Fish(
+          Vector2D.Zero,
+          uniqueStyle,
+          scale,
+          this.isLowRes,
+          this.random
+        );
+        break;
+    }
+    return animal;
+  }
+
+  /**
+   * Creates a boid for the animal at the spawn place of the simulation.
+   *
+   * @param {BodyBase} animal - The animal of the boid.
+   * @returns {Boid} The boid.
+   */
+  createBoid(animal) {
+    const boid = new Boid(
+      this.boundaries.width,
+      this.boundaries.height,
+      this.boundaries.left,
+      this.boundaries.top,
+      animal,
+      this.spawnPlace,
+      this.random
+    );
+    boid.id = this.nextBoidId++;
+    return boid;
+  }
+
+  /**
+   * Adds an animal of a species group to the flock.
+   *
+   * @param {number} [i=0] - The index of the animal, passed to `customAnimalCallback`.
+   * @param {SpeciesGroup} [group=undefined] - The group of the animal. If `undefined`, the first group is used.
+   * @param {Genome} [genome=undefined] - The genome of the animal, e.g. of an offspring. If `undefined`, the genome is read from the new animal.
+   * @returns {BodyBase|undefined} The animal, `undefined` if there is no group or the simulation is a mirror.
+   */
+  addAnimal(i = 0, group = undefined, genome = undefined) {
+    group = group || this.groups[0];
+    if (!group || this.isMirror) return undefined;
+
+    const animal = this.createAnimal(
+      group.animalType,
+      group.style,
+      group.sizesRange,
+      i
+    );
+    if (genome) genome.applyTo(animal);
+
+    const boid = this.createBoid(animal);
+    boid.group = group;
+    boid.genome = genome || Genome.fromAnimal(animal);
+    boid.path = group.path;
+    this.flock.push(boid);
+    return animal;
+  }
+
+  /**
+   * Adds a predator of `predatorType` which hunts the flock, see `predatorParams` for its behaviour.
+   *
+   * @returns {BodyBase|undefined} The animal of the predator, `undefined` if the simulation is a mirror.
+   */
+  addPredator() {
+    if (this.isMirror) return undefined;
+
+    const animal = this.createAnimal(
+      this.predatorType,
+      this.predatorStyle,
+      this.predatorSizesRange,
+      this.predators.length
+    );
+    const boid = this.createBoid(animal);
+    boid.role = BoidRole.PREDATOR;
+    this.predators.push(boid);
+    return animal;
+  }
+
+  /**
+   * Removes a boid, either from the flock or the predators, and destroys its animal.
+   * A mirror keeps its boids, they are removed by {@link Simulation#applyFrame}.
+   *
+   * @param {Boid} boid - The boid to remove.
+   */
+  removeBoid(boid) {
+    if (this.isMirror) return;
+
+    const list = boid.role === BoidRole.PREDATOR ? this.predators : this.flock;
+    const index = list.indexOf(boid);
+    if (index === -1) return;
+
+    this.leaveFormation(boid);
+    list.splice(index, 1);
+    boid.destroy();
+  }
+
+  /**
+   * Adds or removes boids of the first species group to match the amount.
+   *
+   * @param {number} amount - The new number of boids in the group.
+   */
+  updateBoidAmount(amount) {
+    if (!this.groups[0]) return;
+    this.updateGroupAmount(this.groups[0].id, amount);
+  }
+
+  /**
+   * Changes the parameters of the predators. They are a copy of the flock parameters made on construction,
+   * so changes of the flock parameters do not reach them.
+   *
+   * @param {Object} params - The parameters to change, see {@link SimulationParams}, e.g. `{ huntRadius: 200, catchRadius: 10 }`.
+   */
+  setPredatorParams(params) {
+    Object.assign(this.predatorParams, params);
+  }
+
+  /**
+   * Adds or removes predators to match the amount.
+   *
+   * @param {number} amount - The new amount of predators.
+   */
+  updatePredatorAmount(amount) {
+    if (this.isMirror) return;
+
+    while (this.predators.length > amount) {
+      this.removeBoid(this.predators[this.predators.length - 1]);
+    }
+    while (this.predators.length < amount) {
+      this.addPredator();
+    }
+  }
+
+  /**
+   * Replaces all animals of a species group with animals of another type.
+   *
+   * @param {AnimalType} newAnimalType - The new type of animal.
+   * @param {number} [groupId=undefined] - The id of the group. If `undefined`, the first group is used.
+   */
+  replaceAnimalType(newAnimalType, groupId = undefined) {
+    const group = this.getGroup(groupId);
+    if (!group) return;
+
+    const animalAmount = this.getGroupBoids(group).length;
+    this.updateGroupAmount(group.id, 0);
+    group.animalType = newAnimalType;
+    this.updateGroupAmount(group.id, animalAmount);
+  }
+}
+
+/**
+ * Enum-like object for specifying renderer types.
+ * @readonly
+ * @enum {string}
+ */
+const RendererType = Object.freeze({
+  CANVAS: "canvas",
+  PIXI: "pixi",
+});
+
+/**
+ * Enum-like object for specifying which work is moved to a Web Worker.
+ * - `NONE` - everything runs on the main thread.
+ * - `STEP` - the worker steps the simulation and sends boid positions back, animals are rendered on the main thread.
+ * - `RENDER` - the worker steps the simulation and renders it with the Canvas 2D API into an OffscreenCanvas.
+ * @readonly
+ * @enum {string}
+ */
+const WorkerMode = Object.freeze({
+  NONE: "none",
+  STEP: "step",
+  RENDER: "render",
+});
+
+/**
+ * Wrapper class for managing and rendering a simulation on a given canvas using either PIXI or Canvas rendering.
+ */
+class SimulationWrapper {
+  /**
+   * Creates an instance of SimulationWrapper.
+   *
+   * @param {HTMLCanvasElement} canvas - The canvas element on which the simulation will be rendered.
+   * @param {Simulation} [simulation=undefined] - The simulation instance to be managed. Ignored in worker modes,
+   * the worker can only create the default simulation. Use {@link SimulationWrapper#loadSnapshot} to start from another state.
+   * @param {RendererType} [renderer=RendererType.PIXI] - The type of renderer to use (PIXI or CANVAS). PIXI is preffered. Ignored with `WorkerMode.RENDER`.
+   * @param {string} [background="#082a68"] - The background color of the canvas.
+   * @param {number} [precalculateBy=100] - The number of initial simulation steps to precalculate.
+   * @param {number} [seed=undefined] - Seed for the default simulation, see {@link Simulation}. Ignored if `simulation` is provided.
+   * @param {number} [stepsPerSecond=60] - The number of fixed simulation steps per second, independent of the frame rate.
+   * @param {WorkerMode} [workerMode=WorkerMode.NONE] - Which work is moved to a Web Worker. See {@link WorkerMode}.
+   */
+  constructor(
+    canvas,
+    background = "#061f30",
+    simulation = undefined,
+    renderer = RendererType.PIXI,
+    precalculateBy = 0,
+    seed = undefined,
+    stepsPerSecond = 60,
+    workerMode = WorkerMode.NONE
+  ) {
+    this.renderer = renderer;
+    this.isTickerActive = true;
+    this.timestep = new FixedTimestep(stepsPerSecond);
+    this.workerMode = workerMode;
+    this.worker = null;
+    // answers the worker still owes, by request id, see `requestWorker`
+    this.workerRequests = new Map();
+    this.nextWorkerRequestId = 0;
+    // in worker modes the worker records the run
+    this.isWorkerRecording = false;
+    /** @type {Recorder|null} */
+    this.recorder = null;
+    /** @type {Replay|null} */
+    this.replay = null;
+    this.isPaused = false;
+    this.timeScale = 1;
+
+    if (this.workerMode !== WorkerMode.NONE) {
+      // both sides of the worker must create the same animals
+      if (typeof seed === "undefined") {
+        seed = Math.floor(Math.random() * 4294967296);
+      }
+      simulation = undefined;
+    }
+
+    if (this.workerMode === WorkerMode.RENDER) {
+      this.simulation = null;
+    } else if (!simulation) {
+      this.simulation = this.defaultSimulation(canvas, seed);
+      // the worker steps the simulation, the copy only displays its frames
+      this.simulation.isMirror = this.workerMode === WorkerMode.STEP;
+    } else {
+      this.simulation = simulation;
+    }
+    this.canvas = canvas;
+    this.background = background;
+    this.canvas.style.background = this.background;
+    this.mousePos = new Vector2D(0, 0);
+    this.isInteractable = false;
+    this.isEcologyEnabled = false;
+    /**
+     * The ripple types emitted by a click, a right-click and a click with the Alt key held. Touches emit `click` ripples.
+     * @type {{ click: RippleType, rightClick: RippleType, altClick: RippleType }}
+     */
+    this.rippleBindings = {
+      click: RippleType.REPEL,
+      rightClick: RippleType.ATTRACT,
+      altClick: RippleType.STUN,
+    };
+    // distance a pressed pointer moves before it leaves the next ripple of its trail
+    this.trailSpacing = 60;
+    // the `touch-action` of the canvas, see `setTouchAction`
+    this.touchAction = "auto";
+    this.canvas.style["touch-action"] = this.touchAction;
+    /**
+     * The pressed pointers by pointer id, with the ripple type of their trail and the position of their last ripple.
+     * @type {Map<number, { type: RippleType|undefined, last: Vector2D }>}
+     * @private
+     */
+    this.pressedPointers = new Map();
+    /**
+     * The camera on the world. The world is the canvas size unless set by {@link SimulationWrapper#setWorldSize}.
+     * @type {Camera}
+     */
+    this.camera = new Camera(canvas.width, canvas.height);
+    /** @type {{ width: number, height: number }|undefined} */
+    this.worldSize = undefined;
+    this.isCameraControlled = false;
+    // whether pinches also rotate the camera, see `toggleCameraControls`
+    this.isCameraRotatable = false;
+    /**
+     * Screen positions of the active touches by pointer id, for pinches.
+     * @type {Map<number, Vector2D>}
+     * @private
+     */
+    this.touches = new Map();
+    /** @type {number[]|undefined} the pointer ids of a pinch */
+    this.pinch = undefined;
+    /** @type {{ id: number, last: Vector2D }|undefined} the pointer dragging the camera */
+    this.panPointer = undefined;
+    this._pointermoveListener = (event) => {
+      const screen = getMousePos(this.canvas, event);
+      if (this.panPointer && this.panPointer.id === event.pointerId) {
+        this.camera.pan(
+          screen.x - this.panPointer.last.x,
+          screen.y - this.panPointer.last.y
+        );
+        this.panPointer.last = screen;
+        this.applyCamera();
+        return;
+      }
+      if (this.pinch && this.pinch.includes(event.pointerId)) {
+        this.movePinch(event.pointerId, screen);
+        return;
+      }
+      if (this.touches.has(event.pointerId)) {
+        this.touches.set(event.pointerId, screen);
+      }
+
+      const pos = this.camera.screenToWorld(screen);
+      if (event.pointerType === "mouse") {
+        this.mousePos.set(pos.x, pos.y);
+        this.callSimulation("setMousePos", pos);
+      }
+
+      const pressed = this.pressedPointers.get(event.pointerId);
+      if (!pressed) return;
+      if (event.pointerType !== "mouse") {
+        this.callSimulation("setPointer", event.pointerId, pos);
+      }
+      if (pressed.type && pressed.last.distance(pos) >= this.trailSpacing) {
+        pressed.last.set(pos.x, pos.y);
+        this.callSimulation("addPoint", pressed.type, pos);
+      }
+    };
+    this._pointerdownListener = (event) => {
+      const screen = getMousePos(this.canvas, event);
+      if (event.pointerType !== "mouse") {
+        this.touches.set(event.pointerId, screen);
+      }
+      if (this.isCameraControlled) {
+        // middle or Ctrl drags pan, a second finger starts a pinch
+        const isPanDrag =
+          event.pointerType === "mouse" &&
+          (event.button === 1 || (event.button === 0 && event.ctrlKey));
+        if (isPanDrag) {
+          this.panPointer = { id: event.pointerId, last: screen };
+          return;
+        }
+        if (this.touches.size === 2 && !this.pinch) {
+          this.startPinch();
+          return;
+        }
+      }
+
+      let type = this.rippleBindings.click;
+      if (event.button === 2) {
+        type = this.rippleBindings.rightClick;
+      } else if (event.altKey) {
+        type = this.rippleBindings.altClick;
+      } else if (event.button !== 0) {
+        return;
+      }
+
+      const pos = this.camera.screenToWorld(screen);
+      if (event.pointerType !== "mouse") {
+        this.callSimulation("setPointer", event.pointerId, pos);
+      }
+      // with the ecology plain clicks and taps feed the animals, shift-clicks still make ripples
+      const isPlainClick = event.button === 0 && !event.altKey;
+      if (this.isEcologyEnabled && isPlainClick && !event.shiftKey) {
+        this.callSimulation("addFood", pos.x, pos.y);
+        type = undefined;
+      } else {
+        this.callSimulation("addPoint", type, pos);
+      }
+      this.pressedPointers.set(event.pointerId, {
+        type,
+        last: Vector2D.fromVec2D(pos),
+      });
+    };
+    this._pointerupListener = (event) => {
+      if (this.panPointer && this.panPointer.id === event.pointerId) {
+        this.panPointer = undefined;
+      }
+      if (this.pinch && this.pinch.includes(event.pointerId)) {
+        this.pinch = undefined;
+      }
+      this.touches.delete(event.pointerId);
+      this.pressedPointers.delete(event.pointerId);
+      if (event.pointerType !== "mouse") {
+        this.callSimulation("removePointer", event.pointerId);
+      }
+    };
+    this._pointerleaveListener = (event) => {
+      this._pointerupListener(event);
+      if (event.pointerType === "mouse") this.callSimulation("clearMousePos");
+    };
+    // right-clicks emit ripples instead of opening the context menu
+    this._contextmenuListener = (event) => event.preventDefault();
+    this._wheelListener = (event) => {
+      event.preventDefault();
+      // lines and pages are turned into roughly the pixels of a mouse wheel
+      const delta = event.deltaMode === 0 ? event.deltaY : event.deltaY * 40;
+      this.camera.zoomAt(
+        Math.exp(-delta * 0.0015),
+        getMousePos(this.canvas, event)
+      );
+      this.applyCamera();
+    };
+    this.lastTime = performance.now();
+
+    if (this.workerMode !== WorkerMode.NONE) {
+      this.initWorker(seed, precalculateBy);
+      if (this.workerMode === WorkerMode.RENDER) return;
+    } else {
+      for (let i = 0; i < Math.min(precalculateBy, 1000); i++) {
+        this.simulation.update(this.timestep.timeStep);
+      }
+    }
+    switch (this.renderer) {
+      case RendererType.CANVAS:
+        this.ctx = canvas.getContext("2d");
+        this.initCanvas();
+        break;
+      case RendererType.PIXI:
+      default:
+        this.app = new PIXI.Application();
+        this.initPixi();
+        break;
+    }
+  }
+
+  /**
+   * Creates simulation object with default parameters for the renderer of the wrapper.
+   * @param {{ width: number, height: number }} canvas - The canvas element on which the simulation will be rendered.
+   * @param {number} [seed=undefined] - Seed for the random numbers of the simulation.
+   * @returns {Simulation} The simulation.
+   */
+  defaultSimulation(canvas, seed = undefined) {
+    return SimulationWrapper.defaultSimulation(canvas, seed, this.renderer);
+  }
+
+  /**
+   * Creates simulation object with default parameters. Used by the worker, which has no wrapper.
+   * @param {{ width: number, height: number }} canvas - The canvas element on which the simulation will be rendered.
+   * @param {number} [seed=undefined] - Seed for the random numbers of the simulation.
+   * @param {RendererType} [renderer=RendererType.PIXI] - The renderer the simulation is drawn with, canvas animals swim faster.
+   * @returns {Simulation} The simulation.
+   */
+  static defaultSimulation(
+    canvas,
+    seed = undefined,
+    renderer = RendererType.PIXI
+  ) {
+    // Define boundaries for the simulation area
+    const bounds = {
+      width: canvas.width,
+      height: canvas.height,
+      margin: 200,
+    };
+
+    // Create simulation parameters with default values
+    const params = new SimulationParams();
+    // params.perceptionRadius = 100;
+    params.setImpactForces(1, 0.8, 1.2);
+    params.maxVelocity = renderer === RendererType.PIXI ? 3 : 8;
+    params.maxAcceleration = 0.3;
+
+    const style = {
+      fill: "#01111c", //"#0b2b42",
+      // fill: "random",
+      finFill: "#01111c", //"#0b2b42",
+      outline: "#04080a", //"#0a2030",
+      outlineWidth: 1.5,
+      eyesColor: "#04080a", //"#0a2030",
+    };
+
+    // Initialize the simulation with, the defined bounds, parameters, and styles
+    const simulation = new Simulation(
+      150,
+      bounds,
+      params,
+      style,
+      [0.5, 1],
+      AnimalType.FISH,
+      true,
+      PositionType.SIDES,
+      20,
+      undefined,
+      seed
+    );
+    return simulation;
+  }
+
+  /**
+   * Starts the worker for the selected `WorkerMode`. With `WorkerMode.RENDER` the control over the canvas is transferred to the worker.
+   * @param {number} seed - Seed for the simulation, shared by the worker and the main thread.
+   * @param {number} precalculateBy - The number of initial simulation steps to precalculate.
+   */
+  initWorker(seed, precalculateBy) {
+    this.worker = new Worker(new URL("./worker.js", import.meta.url), {
+      type: "module",
+    });
+    this.sinceWorkerFrame = 0;
+
+    const config = {
+      mode: this.workerMode,
+      width: this.canvas.width,
+      height: this.canvas.height,
+      seed,
+      // the worker draws with the Canvas 2D API in `WorkerMode.RENDER`
+      renderer:
+        this.workerMode === WorkerMode.RENDER
+          ? RendererType.CANVAS
+          : this.renderer,
+      stepsPerSecond: this.timestep.stepsPerSecond,
+      precalculateBy,
+    };
+
+    this.worker.onmessage = (event) => {
+      const message = event.data;
+      if (message.type === "answer") {
+        const resolve = this.workerRequests.get(message.requestId);
+        this.workerRequests.delete(message.requestId);
+        if (resolve) resolve(message.result);
+        return;
+      }
+      if (message.type !== "frame") return;
+
+      this.simulation.savePreviousState();
+      this.simulation.applyFrame(message.frame);
+      this.sinceWorkerFrame = 0;
+    };
+
+    if (this.workerMode === WorkerMode.RENDER) {
+      const offscreen = this.canvas.transferControlToOffscreen();
+      this.worker.postMessage({ type: "init", config, canvas: offscreen }, [
+        offscreen,
+      ]);
+      return;
+    }
+    this.worker.postMessage({ type: "init", config });
+  }
+
+  /**
+   * Sends a message to the worker and waits for its answer.
+   * @param {Object} message - The message, see `worker.js`. A `requestId` is added.
+   * @returns {Promise<*>} The result of the answer.
+   * @private
+   */
+  requestWorker(message) {
+    const requestId = this.nextWorkerRequestId++;
+    return new Promise((resolve) => {
+      this.workerRequests.set(requestId, resolve);
+      this.worker.postMessage({ ...message, requestId });
+    });
+  }
+
+  /**
+   * Calls a method of the simulation. In worker modes the call is also sent to the worker,
+   * the main thread copy is kept in sync to display animals and ripples. The worker decides which boids exist,
+   * the copy only receives them with the frames, see {@link Simulation#applyFrame}.
+   * Calls are recorded while recording and ignored while a replay is running.
+   * @param {string} method - The name of the `Simulation` method.
+   * @param {...*} args - Arguments of the method. Must be cloneable by `postMessage`.
+   * @returns {*} The result of the main thread call, `undefined` with `WorkerMode.RENDER` or during a replay.
+   */
+  callSimulation(method, ...args) {
+    if (this.replay) return undefined;
+    if (this.recorder) this.recorder.record(method, args);
+
+    if (this.worker) {
+      this.worker.postMessage({ type: "call", method, args });
+    }
+    if (this.simulation) {
+      return this.simulation[method](...args);
+    }
+  }
+
+  /**
+   * Add or remove event listeners for mouse movements and clicks on the canvas.
+   * @param {boolean} [isToggled=true] To add or to remove listeners.
+   */
+  toggleInteractions(isToggled = true) {
+    if (isToggled === this.isInteractable) return;
+    this.isInteractable = isToggled;
+    if (this.isInteractable) {
+      this.canvas.addEventListener("pointermove", this._pointermoveListener);
+      this.canvas.addEventListener("pointerdown", this._pointerdownListener);
+      this.canvas.addEventListener("pointerup", this._pointerupListener);
+      // the browser cancels touches it takes over for scrolling or zooming, see `setTouchAction`
+      this.canvas.addEventListener("pointercancel", this._pointerupListener);
+      this.canvas.addEventListener("pointerleave", this._pointerleaveListener);
+      this.canvas.addEventListener("contextmenu", this._contextmenuListener);
+    } else {
+      console.log("called");
+      this.canvas.removeEventListener("pointermove", this._pointermoveListener);
+      this.canvas.removeEventListener("pointerdown", this._pointerdownListener);
+      this.canvas.removeEventListener("pointerup", this._pointerupListener);
+      this.canvas.removeEventListener("pointercancel", this._pointerupListener);
+      this.canvas.removeEventListener(
+        "pointerleave",
+        this._pointerleaveListener
+      );
+      this.pressedPointers.clear();
+      this.callSimulation("clearPointers");
+      this.canvas.removeEventListener("contextmenu", this._contextmenuListener);
+    }
+  }
+
+  /**
+   * Initializes the PIXI renderer and attaches the PIXI containers.
+   */
+  async initPixi() {
+    await this.app.init({
+      canvas: this.canvas,
+      width: this.canvas.width,
+      height: this.canvas.height,
+      preference: "webgl",
+      background: this.background,
+      antialias: true,
+    });
+
+    this.view = new PixiRenderer(this.simulation);
+    this.view.camera = this.camera;
+    this.view.attach(this.app.stage);
+    this.app.renderer.events.autoPreventDefault = false;
+    // PIXI sets its own `touch-action`, the one of the wrapper is applied again
+    this.app.renderer.view.canvas.style["touch-action"] = this.touchAction;
+
+    this.app.ticker.add((ticker) => {
+      if (this.isTickerActive) {
+        const alpha = this.advance(ticker.deltaMS);
+        this.simulation.beginInterpolation(alpha);
+        this.view.render();
+        this.simulation.endInterpolation();
+      }
+    });
+  }
+
+  /**
+   * Advances the simulation by fixed steps for the elapsed real time, see {@link FixedTimestep}.
+   * With `WorkerMode.STEP` the worker does the stepping, only the time since its last frame is tracked.
+   *
+   * @param {number} elapsed - Real time passed since the last frame in milliseconds.
+   * @returns {number} The interpolation factor between the previous and the current simulation state,
+   * `1` while paused so steps taken with {@link SimulationWrapper#step} are shown in full.
+   */
+  advance(elapsed) {
+    const scaled = this.isPaused ? 0 : elapsed * this.timeScale;
+    let alpha;
+    if (this.worker) {
+      this.sinceWorkerFrame += scaled;
+      alpha = Math.min(this.sinceWorkerFrame / this.timestep.stepDuration, 1);
+    } else {
+      alpha = this.timestep.advance(scaled, (deltaTime) =>
+        this.stepSimulation(deltaTime)
+      );
+    }
+    return this.isPaused ? 1 : alpha;
+  }
+
+  /**
+   * Runs one fixed step of the simulation, or of the replay while one is running.
+   * @param {number} deltaTime - The delta time of the step.
+   * @private
+   */
+  stepSimulation(deltaTime) {
+    if (this.replay) {
+      this.replay.advance();
+      return;
+    }
+
+    this.simulation.savePreviousState();
+    this.simulation.update(deltaTime);
+    if (this.recorder) this.recorder.tick();
+  }
+
+  /**
+   * Pauses the simulation. Rendering goes on, so changes of styles and overlays stay visible.
+   */
+  pause() {
+    this.isPaused = true;
+    if (this.worker) this.worker.postMessage({ type: "time", paused: true });
+  }
+
+  /**
+   * Resumes the simulation after {@link SimulationWrapper#pause}.
+   */
+  resume() {
+    this.isPaused = false;
+    if (this.worker) this.worker.postMessage({ type: "time", paused: false });
+  }
+
+  /**
+   * Runs fixed steps right away, e.g. to go through a paused simulation step by step. During a replay the recorded steps are run.
+   * @param {number} [n=1] - The number of steps.
+   */
+  step(n = 1) {
+    n = Math.max(0, Math.floor(n));
+    if (this.worker) {
+      this.worker.postMessage({ type: "time", steps: n });
+      return;
+    }
+    if (this.replay) {
+      this.replay.seek(this.replay.step + n);
+      return;
+    }
+
+    for (let i = 0; i < n; i++) {
+      this.stepSimulation(this.timestep.timeStep);
+    }
+  }
+
+  /**
+   * Sets how fast the simulation runs relative to real time.
+   * @param {number} timeScale - The factor, e.g. `0.25` for slow motion or `2` for fast-forward. `0` stops the simulation like {@link SimulationWrapper#pause}.
+   */
+  setTimeScale(timeScale) {
+    this.timeScale = Math.max(0, timeScale);
+    if (this.worker) {
+      this.worker.postMessage({ type: "time", timeScale: this.timeScale });
+    }
+  }
+
+  /**
+   * Starts recording the run: the current state and every following call of {@link SimulationWrapper#callSimulation}.
+   * The simulation is restored from its own snapshot first, see {@link Recorder}. In worker modes the worker records its simulation.
+   * @returns {boolean} `true` if the recording started.
+   */
+  startRecording() {
+    if (this.replay) return false;
+    if (this.worker) {
+      this.worker.postMessage({ type: "startRecording" });
+      this.isWorkerRecording = true;
+      return true;
+    }
+    if (!this.simulation) return false;
+
+    this.recorder = new Recorder(this.simulation, this.timestep.timeStep);
+    return true;
+  }
+
+  /**
+   * Stops recording.
+   * @returns {Object|Promise<Object|undefined>|undefined} The recording, plain data which can be stored as JSON and played with {@link SimulationWrapper#playRecording}.
+   * `undefined` if nothing was recorded. In worker modes a promise of the recording of the worker.
    */
-  defaultSimulation(canvas) {
-    // Define boundaries for the simulation area
-    const bounds = {
-      width: canvas.width,
-      height: canvas.height,
-      margin: 200,
-    };
+  stopRecording() {
+    if (this.isWorkerRecording) {
+      this.isWorkerRecording = false;
+      return this.requestWorker({ type: "stopRecording" });
+    }
+    const recording = this.recorder ? this.recorder.finish() : undefined;
+    this.recorder = null;
+    return recording;
+  }
 
-    // Create simulation parameters with default values
-    const params = new SimulationParams();
-    // params.perceptionRadius = 100;
-    params.setImpactForces(1, 0.8, 1.2);
-    params.maxVelocity = this.renderer == RendererType.PIXI ? 3 : 8;
-    params.maxAcceleration = RendererType.PIXI ? 0.3 : 1;
+  /**
+   * Replaces the live run with the playback of a recording. Inputs to the simulation are ignored until {@link SimulationWrapper#stopReplay}.
+   * Not available in worker modes, recordings of a worker can be played without one.
+   * @param {Object} recording - The recording of {@link SimulationWrapper#stopRecording}.
+   * @returns {boolean} `true` if the playback started.
+   */
+  playRecording(recording) {
+    if (!this.simulation || this.worker) return false;
 
-    const style = {
-      fill: "#01111c", //"#0b2b42",
-      // fill: "random",
-      finFill: "#01111c", //"#0b2b42",
-      outline: "#04080a", //"#0a2030",
-      outlineWidth: 1.5,
-      eyesColor: "#04080a", //"#0a2030",
-    };
+    this.recorder = null;
+    this.replay = new Replay(this.simulation, recording);
+    return true;
+  }
 
-    // Initialize the simulation with, the defined bounds, parameters, and styles
-    const simulation = new Simulation(
-      150,
-      bounds,
-      params,
-      style,
-      [0.5, 1],
-      AnimalType.FISH,
-      true,
-      PositionType.SIDES,
-      20
-    );
-    return simulation;
+  /**
+   * Continues the playback, from the start if it reached the end.
+   */
+  playReplay() {
+    if (!this.replay) return;
+    if (this.replay.isFinished) this.replay.rewind();
+    this.replay.isPlaying = true;
   }
 
   /**
-   * Add or remove event listeners for mouse movements and clicks on the canvas.
-   * @param {boolean} [isToggled=true] To add or to remove listeners.
+   * Pauses the playback.
    */
-  toggleInteractions(isToggled = true) {
-    if (isToggled === this.isInteractable) return;
-    this.isInteractable = isToggled;
-    if (this.isInteractable) {
-      this.canvas.addEventListener("mousemove", this._mousemoveListener);
-      this.canvas.addEventListener("mousedown", this._mousedownListener);
-    } else {
-      console.log("called");
-      this.canvas.removeEventListener("mousemove", this._mousemoveListener);
-      this.canvas.removeEventListener("mousedown", this._mousedownListener);
-    }
+  pauseReplay() {
+    if (this.replay) this.replay.isPlaying = false;
   }
 
   /**
-   * Initializes the PIXI renderer and attaches the PIXI containers.
+   * Jumps to a step of the recording.
+   * @param {number} step - The step, from `0` to the length of the recording.
    */
-  async initPixi() {
-    await this.app.init({
-      canvas: this.canvas,
-      width: this.canvas.width,
-      height: this.canvas.height,
-      preference: "webgl",
-      background: this.background,
-      antialias: true,
-    });
+  scrubReplay(step) {
+    if (this.replay) this.replay.seek(step);
+  }
 
-    this.simulation.initPixiGrafics();
-    this.simulation.attachPixiContainers(this.app.stage);
-    this.app.renderer.events.autoPreventDefault = false;
-    this.app.renderer.view.canvas.style["touch-action"] = "auto";
+  /**
+   * Sets the playback speed.
+   * @param {number} speed - The number of recorded steps per fixed step, e.g. `0.25` for slow motion or `4` for fast-forward.
+   */
+  setReplaySpeed(speed) {
+    if (this.replay) this.replay.speed = Math.max(0, speed);
+  }
 
-    this.app.ticker.add((delta) => {
-      if (this.isTickerActive) {
-        this.simulation.update(delta.deltaTime);
-        this.simulation.updatePixiGrafics();
-        this.simulation.updatePixiRiples();
-      }
-    });
+  /**
+   * Gets the position of the playback.
+   * @returns {{ step: number, length: number, isPlaying: boolean }|undefined} The current step, the length of the recording and whether it plays. `undefined` without a replay.
+   */
+  getReplayProgress() {
+    if (!this.replay) return undefined;
+
+    const { step, length, isPlaying } = this.replay;
+    return { step, length, isPlaying };
+  }
+
+  /**
+   * Ends the playback. The simulation continues live from the replayed state.
+   */
+  stopReplay() {
+    this.replay = null;
   }
 
   /**
@@ -982,15 +3921,12 @@ class SimulationWrapper {
    * @param {DOMHighResTimeStamp} timestamp - The current time for the animation frame.
    */
   animate = (timestamp) => {
-    const deltaTime = (timestamp - this.lastTime) / 30;
+    const alpha = this.advance(timestamp - this.lastTime);
     this.lastTime = timestamp;
 
-    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-
-    this.simulation.update(deltaTime);
-    this.simulation.displayAnimal(this.ctx);
-    this.simulation.displayRipples(this.ctx);
-    // this.simulation.displaySimple(this.ctx);
+    this.simulation.beginInterpolation(alpha);
+    this.view.render();
+    this.simulation.endInterpolation();
 
     requestAnimationFrame(this.animate);
   };
@@ -999,11 +3935,14 @@ class SimulationWrapper {
    * Initializes the canvas renderer and starts the animation loop.
    */
   initCanvas() {
+    this.view = new CanvasRenderer(this.simulation, this.ctx);
+    this.view.camera = this.camera;
     requestAnimationFrame(this.animate);
   }
 
   /**
-   * Resizes resolution of the canvas to the specified size. Simulation bounds are also adjusted.
+   * Resizes resolution of the canvas to the specified size. Simulation bounds are also adjusted,
+   * unless the world has its own size, see {@link SimulationWrapper#setWorldSize}.
    * @param {number} width - Width to resize canvas to.
    * @param {number} height - Height to resize canvas to.
    */
@@ -1011,7 +3950,29 @@ class SimulationWrapper {
     width = Math.max(width, 1);
     height = Math.max(height, 1);
     setTimeout(() => {
-      this.simulation.setBounds(width, height);
+      const followsCanvas = !this.worldSize;
+      if (followsCanvas) {
+        // the view keeps its top left corner while the world grows or shrinks with the canvas
+        this.camera.pan(
+          -(width - this.camera.width) / 2,
+          -(height - this.camera.height) / 2
+        );
+      }
+      this.camera.setViewport(width, height);
+      this.applyCamera();
+
+      if (this.workerMode === WorkerMode.RENDER) {
+        // the canvas belongs to the worker now
+        this.worker.postMessage({
+          type: "resize",
+          width,
+          height,
+          followsCanvas,
+        });
+        return;
+      }
+
+      if (followsCanvas) this.callSimulation("setBounds", width, height);
       switch (this.renderer) {
         case RendererType.CANVAS:
           this.canvas.width = width;
@@ -1042,22 +4003,475 @@ class SimulationWrapper {
     this.background = background;
     this.canvas.style.background = this.background;
 
-    if (this.renderer === RendererType.PIXI) {
+    if (this.app) {
       this.app.renderer.background._backgroundColor.value = this.background;
     }
 
-    this.simulation.setStyle(style);
+    this.callSimulation("setStyle", style);
   }
 
   changeCreaturesAmount(amount) {
     if (amount < 0) return;
     this.isTickerActive = false;
-    this.simulation.updateBoidAmount(amount);
+    this.callSimulation("updateBoidAmount", amount);
     this.isTickerActive = true;
   }
 
   replaceAnimalType(newAnimalType) {
-    this.simulation.replaceAnimalType(newAnimalType);
+    this.callSimulation("replaceAnimalType", newAnimalType);
+  }
+
+  /**
+   * Turns the ecology layer on or off, see {@link Simulation#setEcology}. With the ecology clicks drop food.
+   * @param {boolean} enabled - Whether the ecology is enabled.
+   * @param {number} [foodSpawnRate=undefined] - The chance of a new pellet per step.
+   * @param {number} [maxFood=undefined] - The maximum number of spawned pellets.
+   */
+  setEcology(enabled, foodSpawnRate, maxFood) {
+    this.isEcologyEnabled = enabled;
+    this.callSimulation("setEcology", enabled, foodSpawnRate, maxFood);
+  }
+
+  /**
+   * Adds a persistent attractor or repeller, see {@link Simulation#addAttractor}.
+   * @param {Object} description - The settings of the attractor.
+   * @returns {number|undefined} The id of the attractor, `undefined` with `WorkerMode.RENDER`.
+   */
+  addAttractor(description) {
+    const attractor = this.callSimulation("addAttractor", description);
+    return attractor ? attractor.id : undefined;
+  }
+
+  /**
+   * Moves an attractor.
+   * @param {number} id - The id of the attractor.
+   * @param {number} x - The new x coordinate.
+   * @param {number} y - The new y coordinate.
+   */
+  moveAttractor(id, x, y) {
+    this.callSimulation("moveAttractor", id, x, y);
+  }
+
+  /**
+   * Removes an attractor.
+   * @param {number} id - The id of the attractor.
+   */
+  removeAttractor(id) {
+    this.callSimulation("removeAttractor", id);
+  }
+
+  /**
+   * Makes the cursor attract or repel the animals while it hovers the canvas, see {@link Simulation#setMouseAttractor}.
+   * @param {number} strength - The force at the cursor, negative values repel, `0` turns it off.
+   * @param {number} [radius=150] - The radius of effect.
+   * @param {AttractorFalloff} [falloff=AttractorFalloff.LINEAR] - How the force fades with distance.
+   */
+  setMouseAttractor(strength, radius, falloff) {
+    this.callSimulation("setMouseAttractor", strength, radius, falloff);
+  }
+
+  /**
+   * Sets the size of the world independently of the canvas and centers the camera on it.
+   * @param {number} [width=undefined] - The width of the world. If `undefined`, the world follows the size of the canvas again.
+   * @param {number} [height=undefined] - The height of the world.
+   */
+  setWorldSize(width = undefined, height = undefined) {
+    if (typeof width === "undefined") {
+      this.worldSize = undefined;
+      width = this.camera.width;
+      height = this.camera.height;
+    } else {
+      this.worldSize = { width, height };
+    }
+    this.callSimulation("setBounds", width, height);
+    this.camera.lookAt(width / 2, height / 2);
+    this.applyCamera();
+  }
+
+  /**
+   * Moves, zooms or rotates the camera.
+   * @param {Object} changes - The changed settings of the camera.
+   * @param {number} [changes.x] - The x coordinate of the world point at the center of the canvas.
+   * @param {number} [changes.y] - The y coordinate of the world point at the center of the canvas.
+   * @param {number} [changes.zoom] - The scale from world to screen, clamped to the limits of the camera.
+   * @param {number} [changes.rotation] - The rotation of the world on the screen in radians.
+   */
+  setCamera(changes) {
+    const camera = this.camera;
+    if (typeof changes.x === "number") camera.x = changes.x;
+    if (typeof changes.y === "number") camera.y = changes.y;
+    if (typeof changes.zoom === "number") {
+      camera.zoom = Math.min(
+        Math.max(changes.zoom, camera.minZoom),
+        camera.maxZoom
+      );
+    }
+    if (typeof changes.rotation === "number") {
+      camera.rotation = changes.rotation;
+    }
+    this.applyCamera();
+  }
+
+  /**
+   * Shows the whole world again: centered, without zoom and rotation.
+   */
+  resetCamera() {
+    const world = this.getWorldSize();
+    this.setCamera({
+      x: world.width / 2,
+      y: world.height / 2,
+      zoom: 1,
+      rotation: 0,
+    });
+  }
+
+  /**
+   * Turns the camera controls on or off: the mouse wheel zooms, middle-button and Ctrl drags pan,
+   * two-finger pinches pan and zoom, and with `isCameraRotatable` also rotate.
+   * Pinches need the browser to leave the gestures to the tank, see {@link SimulationWrapper#setTouchAction}.
+   * @param {boolean} [isToggled=true] - To turn the controls on or off.
+   */
+  toggleCameraControls(isToggled = true) {
+    if (isToggled === this.isCameraControlled) return;
+    this.isCameraControlled = isToggled;
+    if (this.isCameraControlled) {
+      this.canvas.addEventListener("wheel", this._wheelListener, {
+        passive: false,
+      });
+    } else {
+      this.canvas.removeEventListener("wheel", this._wheelListener);
+      this.panPointer = undefined;
+      this.pinch = undefined;
+    }
+  }
+
+  /**
+   * Gets the size of the world without its margin.
+   * @returns {{ width: number, height: number }} The size.
+   * @private
+   */
+  getWorldSize() {
+    return this.worldSize
+      ? this.worldSize
+      : { width: this.camera.width, height: this.camera.height };
+  }
+
+  /**
+   * Keeps the center of the camera inside of the world and hands the camera to the worker for `WorkerMode.RENDER`.
+   * The renderers of the main thread read the camera on every frame.
+   * @private
+   */
+  applyCamera() {
+    const camera = this.camera;
+    const world = this.getWorldSize();
+    camera.x = Math.min(Math.max(camera.x, 0), world.width);
+    camera.y = Math.min(Math.max(camera.y, 0), world.height);
+    if (this.workerMode === WorkerMode.RENDER) {
+      this.worker.postMessage({ type: "camera", camera: camera.toJSON() });
+    }
+  }
+
+  /**
+   * Turns the two active touches into a pinch of the camera. They stop acting as touches in the tank.
+   * @private
+   */
+  startPinch() {
+    this.pinch = [...this.touches.keys()];
+    this.pinch.forEach((id) => {
+      this.pressedPointers.delete(id);
+      this.callSimulation("removePointer", id);
+    });
+  }
+
+  /**
+   * Pans, zooms and rotates the camera for a moved finger of the pinch.
+   * @param {number} id - The pointer id of the finger.
+   * @param {Vector2D} screen - The new position of the finger in canvas pixels.
+   * @private
+   */
+  movePinch(id, screen) {
+    const previous = this.touches.get(id);
+    const other = this.touches.get(
+      this.pinch[0] === id ? this.pinch[1] : this.pinch[0]
+    );
+    this.touches.set(id, screen);
+
+    const previousCenter = Vector2D.lerp(previous, other, 0.5);
+    const center = Vector2D.lerp(screen, other, 0.5);
+    this.camera.pan(center.x - previousCenter.x, center.y - previousCenter.y);
+    const previousDistance = previous.distance(other);
+    if (previousDistance > 0) {
+      this.camera.zoomAt(screen.distance(other) / previousDistance, center);
+    }
+    if (this.isCameraRotatable) {
+      const angle =
+        Vector2D.sub(screen, other).angle - Vector2D.sub(previous, other).angle;
+      this.camera.rotateAt(angle, center);
+    }
+    this.applyCamera();
+  }
+
+  /**
+   * Sets the `touch-action` of the canvas, i.e. which touch gestures the browser handles itself.
+   * With `"auto"` touches scroll and zoom the page, the browser cancels them once it takes over, so only taps make ripples.
+   * With `"none"` every gesture stays in the tank, e.g. drags leave trails of ripples and pinches give two attractor points.
+   * @param {string} [touchAction="auto"] - The CSS `touch-action`, e.g. `"auto"`, `"none"` or `"pan-y"`.
+   */
+  setTouchAction(touchAction = "auto") {
+    this.touchAction = touchAction;
+    this.canvas.style["touch-action"] = touchAction;
+  }
+
+  /**
+   * Sets the force of the active touches, see {@link Simulation#setPointerAttractor}.
+   * @param {number} strength - The force at a touch, negative values repel, `0` turns it off.
+   * @param {number} [radius=150] - The radius of effect.
+   * @param {AttractorFalloff} [falloff=AttractorFalloff.LINEAR] - How the force fades with distance.
+   */
+  setPointerAttractor(strength, radius, falloff) {
+    this.callSimulation("setPointerAttractor", strength, radius, falloff);
+  }
+
+  /**
+   * Changes the look, speed, lifetime or effect of a ripple type, see {@link RipplesManager#setPreset}.
+   * Which clicks emit which type is set by `rippleBindings`.
+   * @param {RippleType} type - The ripple type.
+   * @param {Object} changes - The changed settings of the preset.
+   */
+  setRipplePreset(type, changes) {
+    this.callSimulation("setRipplePreset", type, changes);
+  }
+
+  /**
+   * Takes a snapshot of the simulation, see {@link Simulation#toJSON}.
+   * In worker modes the worker holds the simulation, the copy on the main thread only displays it, so the snapshot is taken by the worker.
+   * @returns {Object|Promise<Object>} The snapshot, in worker modes a promise of it.
+   */
+  saveSnapshot() {
+    if (this.worker) return this.requestWorker({ type: "snapshot" });
+    return this.simulation.toJSON();
+  }
+
+  /**
+   * Restores a snapshot, see {@link Simulation#restore}. Called right after the construction with `precalculateBy = 0`,
+   * it shows a saved tank on page load instead of warming up.
+   * @param {Object} data - The snapshot of {@link SimulationWrapper#saveSnapshot}.
+   */
+  loadSnapshot(data) {
+    this.callSimulation("restore", data);
+  }
+
+  /**
+   * Adds a formation of a leader and followers, see {@link Simulation#addFormation}.
+   * @param {Object} description - The settings of the formation, e.g. `{ leader: 0, followers: 8, type: "v", mode: "cursor" }` with the id of the leader.
+   * @returns {number|undefined} The id of the formation, `undefined` with `WorkerMode.RENDER`.
+   */
+  addFormation(description) {
+    const formation = this.callSimulation("addFormation", description);
+    return formation ? formation.id : undefined;
+  }
+
+  /**
+   * Changes the shape or the leader mode of a formation.
+   * @param {number} id - The id of the formation.
+   * @param {Object} changes - The settings to change, any of `type`, `spacing`, `mode` and `pathId`.
+   */
+  setFormation(id, changes) {
+    this.callSimulation("setFormation", id, changes);
+  }
+
+  /**
+   * Removes a formation.
+   * @param {number} id - The id of the formation.
+   */
+  removeFormation(id) {
+    this.callSimulation("removeFormation", id);
+  }
+
+  /**
+   * Adds a path for the animals to follow, see {@link Simulation#addPath}.
+   * @param {Object} description - The settings of the path, e.g. `{ points: [{ x, y }, ...], radius: 40, loop: true, smooth: true }`.
+   * @returns {number|undefined} The id of the path, `undefined` with `WorkerMode.RENDER`.
+   */
+  addPath(description) {
+    const path = this.callSimulation("addPath", description);
+    return path ? path.id : undefined;
+  }
+
+  /**
+   * Removes a path.
+   * @param {number} id - The id of the path.
+   */
+  removePath(id) {
+    this.callSimulation("removePath", id);
+  }
+
+  /**
+   * Makes a species group follow a path.
+   * @param {number} groupId - The id of the group.
+   * @param {number} [pathId=undefined] - The id of the path. If `undefined`, the group stops following paths.
+   */
+  setGroupPath(groupId, pathId) {
+    this.callSimulation("setGroupPath", groupId, pathId);
+  }
+
+  /**
+   * Makes a single animal follow a path.
+   * @param {number} boidId - The id of the animal, see {@link Simulation#getBoid}.
+   * @param {number} [pathId=undefined] - The id of the path. If `undefined`, the animal stops following paths.
+   */
+  setAnimalPath(boidId, pathId) {
+    this.callSimulation("setAnimalPath", boidId, pathId);
+  }
+
+  /**
+   * Adds a flow field, see {@link Simulation#addFlowField}.
+   * In worker modes noise fields without a seed get one here, so the worker and the main thread copy create the same noise.
+   * @param {Object} description - The description of the field, e.g. `{ type: "noise", strength: 0.05 }`.
+   * @returns {number|undefined} The id of the field, `undefined` with `WorkerMode.RENDER`.
+   */
+  addFlowField(description) {
+    if (
+      this.worker &&
+      description.type === FlowFieldType.NOISE &&
+      typeof description.seed === "undefined"
+    ) {
+      description = {
+        ...description,
+        seed: Math.floor(Math.random() * 4294967296),
+      };
+    }
+    const field = this.callSimulation("addFlowField", description);
+    return field ? field.id : undefined;
+  }
+
+  /**
+   * Removes a flow field.
+   * @param {number} id - The id of the field.
+   */
+  removeFlowField(id) {
+    this.callSimulation("removeFlowField", id);
+  }
+
+  /**
+   * Shows or hides the debug overlay with the arrows of the flow fields.
+   * @param {boolean} visible - Whether the overlay is drawn.
+   */
+  setFlowFieldOverlay(visible) {
+    if (this.view) this.view.showFlowFields = visible;
+    if (this.worker && this.workerMode === WorkerMode.RENDER) {
+      this.worker.postMessage({
+        type: "view",
+        property: "showFlowFields",
+        value: visible,
+      });
+    }
+  }
+
+  /**
+   * Turns reproduction of well-fed animals on or off, see {@link Simulation#setReproduction}.
+   * With `WorkerMode.STEP` the newborns reach the main thread with the worker frames.
+   * @param {boolean} enabled - Whether animals reproduce.
+   * @param {number} [maxPopulation=undefined] - The maximum number of animals.
+   */
+  setReproduction(enabled, maxPopulation) {
+    this.callSimulation("setReproduction", enabled, maxPopulation);
+  }
+
+  /**
+   * Adds a species group to the flock, see {@link Simulation#addGroup}.
+   * @param {AnimalType} animalType - The type of animal of the group.
+   * @param {number} amount - The number of animals in the group.
+   * @param {SimulationParams} [params=undefined] - The parameters for the behaviour of the group.
+   * @param {[number, number]} [sizesRange=[1, 1]] - The range for the sizes of the animals.
+   * @param {Object} [style=undefined] - The style settings for the animals.
+   * @param {boolean} [avoidOthers=false] - Whether the animals keep their distance to other groups.
+   * @returns {number|undefined} The id of the group, `undefined` with `WorkerMode.RENDER`.
+   */
+  addGroup(animalType, amount, params, sizesRange, style, avoidOthers) {
+    const group = this.callSimulation(
+      "addGroup",
+      animalType,
+      amount,
+      params,
+      sizesRange,
+      style,
+      avoidOthers
+    );
+    return group ? group.id : undefined;
+  }
+
+  /**
+   * Removes a species group with all its animals.
+   * @param {number} id - The id of the group.
+   */
+  removeGroup(id) {
+    this.callSimulation("removeGroup", id);
+  }
+
+  /**
+   * Changes the number of animals in a species group.
+   * @param {number} id - The id of the group.
+   * @param {number} amount - The new number of animals.
+   */
+  changeGroupAmount(id, amount) {
+    if (amount < 0) return;
+    this.callSimulation("updateGroupAmount", id, amount);
+  }
+
+  /**
+   * Changes the parameters of a species group, see {@link Simulation#setGroupParams}.
+   * @param {number} id - The id of the group.
+   * @param {Object} params - The parameters to change.
+   * @param {boolean} [avoidOthers=undefined] - Whether the animals keep their distance to other groups.
+   */
+  setGroupParams(id, params, avoidOthers) {
+    this.callSimulation("setGroupParams", id, params, avoidOthers);
+  }
+
+  /**
+   * Adds a static obstacle the animals swim around, see {@link Simulation#addObstacle}.
+   * @param {Object} shape - The shape of the obstacle.
+   * @returns {number|undefined} The id of the obstacle, `undefined` with `WorkerMode.RENDER`.
+   * @throws {Error} If the shape is invalid, see {@link Obstacle.validate}. Checked before the worker gets it.
+   */
+  addObstacle(shape) {
+    Obstacle.validate(shape);
+    const obstacle = this.callSimulation("addObstacle", shape);
+    return obstacle ? obstacle.id : undefined;
+  }
+
+  /**
+   * Removes an obstacle.
+   * @param {number} id - The id of the obstacle.
+   */
+  removeObstacle(id) {
+    this.callSimulation("removeObstacle", id);
+  }
+
+  /**
+   * Sets what happens to the animals at the boundaries, see {@link BoundaryMode}.
+   * @param {BoundaryMode} mode - The boundary mode.
+   */
+  setBoundaryMode(mode) {
+    this.callSimulation("setBoundaryMode", mode);
+  }
+
+  /**
+   * Changes the amount of predators hunting the flock.
+   * @param {number} amount - The new amount of predators.
+   */
+  changePredatorsAmount(amount) {
+    if (amount < 0) return;
+    this.callSimulation("updatePredatorAmount", amount);
+  }
+
+  /**
+   * Changes the parameters of the predators, see {@link Simulation#setPredatorParams}.
+   * @param {Object} params - The parameters to change.
+   */
+  setPredatorParams(params) {
+    this.callSimulation("setPredatorParams", params);
   }
 }
 
@@ -1067,4 +4481,13 @@ export {
   SimulationWrapper,
   RendererType,
   PositionType,
+  BoundaryMode,
+  SpeciesGroup,
+  Genome,
+  WorkerMode,
+  BoidRole,
+  CatchBehaviour,
+  FormationType,
+  LeaderMode,
+  RippleType,
 };
@@ -0,0 +1,161 @@
+import { Vector2D } from "./utils.js";
+
+/**
+ * Uniform grid that buckets boids by position so perception-radius queries only
+ * visit nearby cells instead of the whole flock.
+ * @class
+ */
+class SpatialHashGrid {
+  /**
+   * Creates an instance of SpatialHashGrid.
+   * @param {number} [cellSize=50] - The minimal size of a cell. Should be at least the largest query radius.
+   * @param {boolean} [wrap=true] - Whether queries wrap around the boundaries (see `Boid.edges`).
+   */
+  constructor(cellSize = 50, wrap = true) {
+    this.cellSize = Math.max(1, cellSize);
+    this.wrap = wrap;
+
+    this.left = 0;
+    this.top = 0;
+    this.width = 1;
+    this.height = 1;
+    this.cols = 1;
+    this.rows = 1;
+    this.cellWidth = 1;
+    this.cellHeight = 1;
+
+    /**
+     * @type {Array<Array<Boid>>}
+     * @private
+     */
+    this.cells = [[]];
+  }
+
+  /**
+   * Re-buckets all boids. Should be called once per tick, before any queries.
+   * @param {Boid[]} boids - The boids to index.
+   * @param {{ width: number, height: number, left: number, top: number }} boundaries - The boundaries of the simulation area.
+   */
+  rebuild(boids, boundaries) {
+    this.resize(boundaries);
+    this.cells.forEach((cell) => (cell.length = 0));
+
+    boids.forEach((boid) => {
+      this.cells[this.getCellIndex(boid.position)].push(boid);
+    });
+  }
+
+  /**
+   * Recalculates the grid layout for the given boundaries. Cells are stretched so that
+   * they evenly tile the area, which keeps wrapped lookups across the edges exact.
+   * @param {{ width: number, height: number, left: number, top: number }} boundaries - The boundaries of the simulation area.
+   */
+  resize(boundaries) {
+    const cols = Math.max(1, Math.floor(boundaries.width / this.cellSize));
+    const rows = Math.max(1, Math.floor(boundaries.height / this.cellSize));
+
+    this.left = boundaries.left;
+    this.top = boundaries.top;
+    this.width = boundaries.width;
+    this.height = boundaries.height;
+    this.cellWidth = boundaries.width / cols;
+    this.cellHeight = boundaries.height / rows;
+
+    if (cols === this.cols && rows === this.rows) return;
+    this.cols = cols;
+    this.rows = rows;
+    this.cells = Array.from({ length: cols * rows }, () => []);
+  }
+
+  /**
+   * Gets the column and row of the cell containing the position. Positions outside of the area are clamped to the border cells.
+   * @param {Vector2D} pos - The position.
+   * @returns {[number, number]} The column and row of the cell.
+   */
+  getCellCoords(pos) {
+    const col = Math.min(
+      this.cols - 1,
+      Math.max(0, Math.floor((pos.x - this.left) / this.cellWidth))
+    );
+    const row = Math.min(
+      this.rows - 1,
+      Math.max(0, Math.floor((pos.y - this.top) / this.cellHeight))
+    );
+    return [col, row];
+  }
+
+  /**
+   * Gets the index of the cell containing the position.
+   * @param {Vector2D} pos - The position.
+   * @returns {number} The cell index.
+   */
+  getCellIndex(pos) {
+    const [col, row] = this.getCellCoords(pos);
+    return row * this.cols + col;
+  }
+
+  /**
+   * Calculates the offset from one position to another. With wrapping enabled the shortest offset across the edges is taken.
+   * @param {Vector2D} from - The start position.
+   * @param {Vector2D} to - The end position.
+   * @returns {Vector2D} The offset vector.
+   */
+  offset(from, to) {
+    let dx = to.x - from.x;
+    let dy = to.y - from.y;
+
+    if (this.wrap) {
+      if (dx > this.width / 2) dx -= this.width;
+      else if (dx < -this.width / 2) dx += this.width;
+
+      if (dy > this.height / 2) dy -= this.height;
+      else if (dy < -this.height / 2) dy += this.height;
+    }
+    return new Vector2D(dx, dy);
+  }
+
+  /**
+   * Finds all boids within the radius of a position.
+   * @param {Vector2D} pos - The center of the query.
+   * @param {number} radius - The query radius.
+   * @param {Boid} [exclude=undefined] - A boid to leave out of the result, usually the one asking.
+   * @returns {Array<{ boid: Boid, offset: Vector2D, distance: number }>} Neighbours with the offset from `pos` to them and the distance.
+   */
+  query(pos, radius, exclude = undefined) {
+    const [col, row] = this.getCellCoords(pos);
+    const rangeX = Math.ceil(radius / this.cellWidth);
+    const rangeY = Math.ceil(radius / this.cellHeight);
+
+    const visited = new Set();
+    const neighbours = [];
+
+    for (let dy = -rangeY; dy <= rangeY; dy++) {
+      let r = row + dy;
+      if (this.wrap) r = ((r % this.rows) + this.rows) % this.rows;
+      else if (r < 0 || r >= this.rows) continue;
+
+      for (let dx = -rangeX; dx <= rangeX; dx++) {
+        let c = col + dx;
+        if (this.wrap) c = ((c % this.cols) + this.cols) % this.cols;
+        else if (c < 0 || c >= this.cols) continue;
+
+        const index = r * this.cols + c;
+        if (visited.has(index)) continue;
+        visited.add(index);
+
+        this.cells[index].forEach((boid) => {
+          if (boid === exclude) return;
+
+          const offset = this.offset(pos, boid.position);
+          const distance = offset.magnitude;
+          if (distance < radius) {
+            neighbours.push({ boid, offset, distance });
+          }
+        });
+      }
+    }
+    return neighbours;
+  }
+}
+
+export { SpatialHashGrid };
@@ -0,0 +1,52 @@
+/**
+ * Fixed-step accumulator which decouples simulation steps from the frame rate.
+ * @class
+ */
+class FixedTimestep {
+  /**
+   * Creates an instance of FixedTimestep.
+   * @param {number} [stepsPerSecond=60] - The number of fixed simulation steps per second.
+   * @param {number} [maxFrameTime=250] - The maximum real time in milliseconds taken into account per frame. Prevents a burst of steps after a throttled background tab.
+   */
+  constructor(stepsPerSecond = 60, maxFrameTime = 250) {
+    this.stepsPerSecond = stepsPerSecond;
+    this.maxFrameTime = maxFrameTime;
+    this.accumulator = 0;
+  }
+
+  /**
+   * The simulation time of one fixed step. Time is measured in frames of 60 fps, the units `SimulationParams` are tuned for.
+   * @returns {number} The delta time passed to `Simulation.update` on every step.
+   */
+  get timeStep() {
+    return 60 / this.stepsPerSecond;
+  }
+
+  /**
+   * The real time of one fixed step.
+   * @returns {number} The duration of a step in milliseconds.
+   */
+  get stepDuration() {
+    return 1000 / this.stepsPerSecond;
+  }
+
+  /**
+   * Runs as many fixed steps as fit into the elapsed real time. Leftover time is kept for the next frame.
+   *
+   * @param {number} elapsed - Real time passed since the last frame in milliseconds.
+   * @param {(deltaTime: number) => void} step - Callback running one simulation step, receives `timeStep`.
+   * @returns {number} The interpolation factor between the previous and the current simulation state.
+   */
+  advance(elapsed, step) {
+    const stepDuration = this.stepDuration;
+    this.accumulator += Math.min(Math.max(elapsed, 0), this.maxFrameTime);
+
+    while (this.accumulator >= stepDuration) {
+      step(this.timeStep);
+      this.accumulator -= stepDuration;
+    }
+    return this.accumulator / stepDuration;
+  }
+}
+
+export { FixedTimestep };
@@ -13,12 +13,12 @@ class Vector2D {
    * Generate a random Vector2D with a magnitude in range from minMagnitude to maxMagnitude.
    * @param {number} [maxMagnitude=1] - The maximum magnitude of the vector.
    * @param {number} [minMagnitude=0] - The minimum magnitude of the vector.
+   * @param {() => number} [random=Math.random] - The source of random numbers in range [0, 1).
    * @returns {Vector2D} A new Vector2D instance.
    */
-  static random(maxMagnitude = 1, minMagnitude = 0) {
-    const angle = Math.random() * 2 * Math.PI;
-    const magnitude =
-      minMagnitude + Math.random() * (maxMagnitude - minMagnitude);
+  static random(maxMagnitude = 1, minMagnitude = 0, random = Math.random) {
+    const angle = random() * 2 * Math.PI;
+    const magnitude = minMagnitude + random() * (maxMagnitude - minMagnitude);
     const x = magnitude * Math.cos(angle);
     const y = magnitude * Math.sin(angle);
     return new Vector2D(x, y);
@@ -120,6 +120,20 @@ class Vector2D {
     );
   }
 
+  /**
+   * Linearly interpolate between two vectors and return a new Vector2D instance.
+   * @param {Vector2D} vec1 - The start vector, returned when `t = 0`.
+   * @param {Vector2D} vec2 - The end vector, returned when `t = 1`.
+   * @param {number} t - The interpolation factor.
+   * @returns {Vector2D} The interpolated vector.
+   */
+  static lerp(vec1, vec2, t) {
+    return new Vector2D(
+      vec1.x + (vec2.x - vec1.x) * t,
+      vec1.y + (vec2.y - vec1.y) * t
+    );
+  }
+
   /**
    * Get a zero vector.
    * @returns {Vector2D} A new Vector2D instance with `x` and `y` set to 0.
@@ -367,6 +381,110 @@ class Vector2D {
   }
 }
 
+/**
+ * Interpolate between two angles along the shortest arc.
+ * @param {number} angle1 - The start angle in radians.
+ * @param {number} angle2 - The end angle in radians.
+ * @param {number} t - The interpolation factor.
+ * @returns {number} The interpolated angle in radians.
+ */
+export function lerpAngle(angle1, angle2, t) {
+  let difference = (angle2 - angle1) % (2 * Math.PI);
+  if (difference > Math.PI) difference -= 2 * Math.PI;
+  else if (difference < -Math.PI) difference += 2 * Math.PI;
+  return angle1 + difference * t;
+}
+
+/**
+ * Create a seeded pseudo random number generator (mulberry32).
+ * The same seed always produces the same sequence, so it can replace `Math.random` where runs must be reproducible.
+ * `getState` and `setState` of the function save and continue the sequence, e.g. for snapshots.
+ * @param {number} seed - The seed. Converted to a 32-bit unsigned integer.
+ * @returns {{ (): number, getState: () => number, setState: (state: number) => void }} A function returning numbers in range [0, 1).
+ */
+export function seededRandom(seed) {
+  let state = seed >>> 0;
+  const random = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  random.getState = () => state;
+  random.setState = (value) => {
+    state = value >>> 0;
+  };
+  return random;
+}
+
+/**
+ * Create a 3D gradient (Perlin) noise function.
+ * @param {() => number} [random=Math.random] - The source of random numbers for the permutation table.
+ * @returns {(x: number, y: number, z: number) => number} A smooth noise function returning numbers in range about [-1, 1].
+ */
+export function createNoise3D(random = Math.random) {
+  const permutation = Array.from({ length: 256 }, (_, i) => i);
+  for (let i = 255; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [permutation[i], permutation[j]] = [permutation[j], permutation[i]];
+  }
+  const p = permutation.concat(permutation);
+
+  const fade = (t) => t * t * t * (t * (t * 6 - 15) + 10);
+  const lerp = (a, b, t) => a + t * (b - a);
+  const grad = (hash, x, y, z) => {
+    const h = hash & 15;
+    const u = h < 8 ? x : y;
+    const v = h < 4 ? y : h === 12 || h === 14 ? x : z;
+    return ((h & 1) === 0 ? u : -u) + ((h & 2) === 0 ? v : -v);
+  };
+
+  return (x, y, z) => {
+    const X = Math.floor(x) & 255;
+    const Y = Math.floor(y) & 255;
+    const Z = Math.floor(z) & 255;
+    x -= Math.floor(x);
+    y -= Math.floor(y);
+    z -= Math.floor(z);
+    const u = fade(x);
+    const v = fade(y);
+    const w = fade(z);
+
+    const A = p[X] + Y;
+    const AA = p[A] + Z;
+    const AB = p[A + 1] + Z;
+    const B = p[X + 1] + Y;
+    const BA = p[B] + Z;
+    const BB = p[B + 1] + Z;
+
+    return lerp(
+      lerp(
+        lerp(grad(p[AA], x, y, z), grad(p[BA], x - 1, y, z), u),
+        lerp(grad(p[AB], x, y - 1, z), grad(p[BB], x - 1, y - 1, z), u),
+        v
+      ),
+      lerp(
+        lerp(grad(p[AA + 1], x, y, z - 1), grad(p[BA + 1], x - 1, y, z - 1), u),
+        lerp(
+          grad(p[AB + 1], x, y - 1, z - 1),
+          grad(p[BB + 1], x - 1, y - 1, z - 1),
+          u
+        ),
+        v
+      ),
+      w
+    );
+  };
+}
+
+/**
+ * Gets the position of a mouse or pointer event in canvas pixels, taking the CSS size of the canvas into account.
+ * Convert it to world coordinates with {@link Camera#screenToWorld}.
+ * @param {HTMLCanvasElement} canvas - The canvas.
+ * @param {MouseEvent} evt - The event.
+ * @returns {Vector2D} The position.
+ */
 export function getMousePos(canvas, evt) {
   var rect = canvas.getBoundingClientRect();
   const ratioComp = rect.width / rect.height < canvas.width / canvas.height;
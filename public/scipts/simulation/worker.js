@@ -0,0 +1,221 @@
+import { Camera } from "./camera.js";
+import { CanvasRenderer } from "./renderers.js";
+import { Recorder } from "./replay.js";
+import { SimulationWrapper, WorkerMode } from "./simulation.js";
+import { FixedTimestep } from "./timestep.js";
+
+/**
+ * Worker side of `SimulationWrapper` worker modes.
+ *
+ * Messages from the wrapper:
+ * - `{ type: "init", config, canvas? }` - creates the default simulation. `canvas` is an OffscreenCanvas for `WorkerMode.RENDER`.
+ * - `{ type: "call", method, args }` - calls one of the proxied `Simulation` methods.
+ * - `{ type: "resize", width, height, followsCanvas }` - resizes the OffscreenCanvas, and the simulation bounds if the world follows the canvas.
+ * - `{ type: "view", property, value }` - sets a display option of the renderer, only for `WorkerMode.RENDER`.
+ * - `{ type: "camera", camera }` - sets the camera of the renderer, see {@link Camera#toJSON}. Only for `WorkerMode.RENDER`.
+ * - `{ type: "time", paused?, timeScale?, steps? }` - pauses or resumes the loop, sets the time scale, or runs steps right away.
+ * - `{ type: "snapshot", requestId }` - takes a snapshot, see {@link Simulation#toJSON}.
+ * - `{ type: "startRecording" }` - starts recording the run, see {@link Recorder}.
+ * - `{ type: "stopRecording", requestId }` - stops recording and sends the recording, `undefined` if nothing was recorded.
+ *
+ * Messages to the wrapper:
+ * - `{ type: "frame", frame }` - the boids, food and simulation time after the last step, see {@link Simulation#getFrame}. Only for `WorkerMode.STEP`.
+ * - `{ type: "answer", requestId, result }` - the result of a message with a `requestId`.
+ */
+
+const proxiedMethods = [
+  "setMousePos",
+  "addPoint",
+  "setRipplePreset",
+  "setBounds",
+  "setStyle",
+  "updateBoidAmount",
+  "replaceAnimalType",
+  "updatePredatorAmount",
+  "addObstacle",
+  "removeObstacle",
+  "clearObstacles",
+  "setBoundaryMode",
+  "addGroup",
+  "removeGroup",
+  "updateGroupAmount",
+  "setGroupParams",
+  "setPredatorParams",
+  "setEcology",
+  "addFood",
+  "dropFood",
+  "removeFood",
+  "setReproduction",
+  "addFlowField",
+  "removeFlowField",
+  "clearFlowFields",
+  "clearMousePos",
+  "setMouseAttractor",
+  "addAttractor",
+  "moveAttractor",
+  "removeAttractor",
+  "clearAttractors",
+  "setPointer",
+  "removePointer",
+  "clearPointers",
+  "setPointerAttractor",
+  "addPath",
+  "removePath",
+  "clearPaths",
+  "setGroupPath",
+  "setAnimalPath",
+  "addFormation",
+  "setFormation",
+  "removeFormation",
+  "clearFormations",
+  "restore",
+];
+
+let simulation;
+let timestep;
+let view;
+let mode;
+let lastTime;
+let paused = false;
+let timeScale = 1;
+/** @type {Recorder|null} */
+let recorder = null;
+// ids of the boids the main thread has, see `Simulation.getFrame`
+let knownIds = new Set();
+
+const nextFrame =
+  typeof self.requestAnimationFrame === "function"
+    ? (callback) => self.requestAnimationFrame(callback)
+    : (callback) =>
+        setTimeout(() => callback(performance.now()), timestep.stepDuration);
+
+function step(deltaTime) {
+  simulation.savePreviousState();
+  simulation.update(deltaTime);
+  if (recorder) recorder.tick();
+}
+
+function postFrame() {
+  const frame = simulation.getFrame(knownIds);
+  knownIds = new Set(frame.ids);
+  self.postMessage({ type: "frame", frame }, [
+    frame.ids.buffer,
+    frame.positions.buffer,
+    frame.velocities.buffer,
+    frame.scales.buffer,
+  ]);
+}
+
+function loop(timestamp) {
+  let stepped = false;
+  const elapsed = paused ? 0 : (timestamp - lastTime) * timeScale;
+  let alpha = timestep.advance(elapsed, (deltaTime) => {
+    step(deltaTime);
+    stepped = true;
+  });
+  // steps taken while paused are shown in full
+  if (paused) alpha = 1;
+  lastTime = timestamp;
+
+  if (mode === WorkerMode.RENDER) {
+    simulation.beginInterpolation(alpha);
+    view.render();
+    simulation.endInterpolation();
+  } else if (stepped) {
+    postFrame();
+  }
+
+  nextFrame(loop);
+}
+
+function init(config, canvas) {
+  mode = config.mode;
+  simulation = SimulationWrapper.defaultSimulation(
+    config,
+    config.seed,
+    config.renderer
+  );
+  timestep = new FixedTimestep(config.stepsPerSecond);
+  // the main thread creates the same boids from the seed
+  knownIds = new Set(simulation.boids.map((boid) => boid.id));
+
+  for (let i = 0; i < Math.min(config.precalculateBy, 1000); i++) {
+    simulation.update(timestep.timeStep);
+  }
+
+  if (mode === WorkerMode.RENDER) {
+    view = new CanvasRenderer(simulation, canvas.getContext("2d"));
+  }
+
+  lastTime = performance.now();
+  nextFrame(loop);
+}
+
+self.onmessage = (event) => {
+  const message = event.data;
+  switch (message.type) {
+    case "init":
+      init(message.config, message.canvas);
+      break;
+    case "call":
+      if (!simulation || !proxiedMethods.includes(message.method)) return;
+      if (recorder) recorder.record(message.method, message.args);
+      simulation[message.method](...message.args);
+      // frames sent before the restore reach the main thread after its own restore, so all boids are sent again
+      if (message.method === "restore") knownIds = new Set();
+      break;
+    case "resize":
+      view.ctx.canvas.width = message.width;
+      view.ctx.canvas.height = message.height;
+      if (message.followsCanvas) {
+        simulation.setBounds(message.width, message.height);
+      }
+      break;
+    case "camera": {
+      const { width, height, x, y, zoom, rotation, minZoom, maxZoom } =
+        message.camera;
+      if (view) {
+        view.camera = new Camera(
+          width,
+          height,
+          x,
+          y,
+          zoom,
+          rotation,
+          minZoom,
+          maxZoom
+        );
+      }
+      break;
+    }
+    case "view":
+      if (view) view[message.property] = message.value;
+      break;
+    case "time":
+      if (typeof message.paused === "boolean") paused = message.paused;
+      if (typeof message.timeScale === "number") timeScale = message.timeScale;
+      if (!simulation || !message.steps) return;
+
+      for (let i = 0; i < message.steps; i++) step(timestep.timeStep);
+      if (mode === WorkerMode.STEP) postFrame();
+      break;
+    case "snapshot":
+      self.postMessage({
+        type: "answer",
+        requestId: message.requestId,
+        result: simulation ? simulation.toJSON() : undefined,
+      });
+      break;
+    case "startRecording":
+      if (simulation) recorder = new Recorder(simulation, timestep.timeStep);
+      break;
+    case "stopRecording":
+      self.postMessage({
+        type: "answer",
+        requestId: message.requestId,
+        result: recorder ? recorder.finish() : undefined,
+      });
+      recorder = null;
+      break;
+  }
+};
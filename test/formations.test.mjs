@@ -0,0 +1,41 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import {
+  Simulation,
+  SimulationWrapper,
+} from "../public/scipts/simulation/simulation.js";
+
+test("formation members are addressed by id", () => {
+  const simulation = SimulationWrapper.defaultSimulation(
+    { width: 800, height: 600 },
+    13
+  );
+  const leader = simulation.getBoid(4);
+  const followers = [simulation.getBoid(6), simulation.getBoid(7)];
+  simulation.removeBoid(simulation.flock[0]);
+
+  const formation = simulation.addFormation({
+    leader: 4,
+    followers: [6, 7],
+  });
+  assert.equal(formation.leader, leader);
+  assert.deepEqual(formation.followers, followers);
+});
+
+test("formations keep their members through a snapshot", () => {
+  const simulation = SimulationWrapper.defaultSimulation(
+    { width: 800, height: 600 },
+    14
+  );
+  simulation.removeBoid(simulation.flock[0]);
+  simulation.addFormation({ leader: 4, followers: [6, 7] });
+
+  const restored = Simulation.fromJSON(JSON.parse(JSON.stringify(simulation)));
+  const formation = restored.formations[0];
+  assert.equal(formation.leader.id, 4);
+  assert.deepEqual(
+    formation.followers.map((boid) => boid.id),
+    [6, 7]
+  );
+});
@@ -0,0 +1,40 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { Obstacle } from "../public/scipts/simulation/obstacles.js";
+import { SimulationWrapper } from "../public/scipts/simulation/simulation.js";
+import { Vector2D } from "../public/scipts/simulation/utils.js";
+
+test("obstacles of unknown types are rejected", () => {
+  const simulation = SimulationWrapper.defaultSimulation(
+    { width: 600, height: 400 },
+    1
+  );
+  assert.throws(() => simulation.addObstacle({ type: "star" }), /unknown type/);
+  assert.throws(() => simulation.addObstacle({}), /unknown type/);
+  assert.equal(simulation.obstacles.length, 0);
+});
+
+test("polygons need at least 3 points", () => {
+  assert.throws(
+    () => new Obstacle({ type: "polygon" }, 0),
+    /at least 3 points/
+  );
+  assert.throws(
+    () => new Obstacle({ type: "polygon", points: [] }, 0),
+    /at least 3 points/
+  );
+
+  const triangle = new Obstacle(
+    {
+      type: "polygon",
+      points: [
+        { x: 0, y: 0 },
+        { x: 10, y: 0 },
+        { x: 0, y: 10 },
+      ],
+    },
+    0
+  );
+  assert.ok(triangle.contains(new Vector2D(2, 2)));
+});
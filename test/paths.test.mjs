@@ -0,0 +1,60 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { Path } from "../public/scipts/simulation/paths.js";
+import { SimulationWrapper } from "../public/scipts/simulation/simulation.js";
+
+test("paths need at least 2 points", () => {
+  assert.throws(() => new Path(0, { points: [{ x: 0, y: 0 }] }), /2 points/);
+  assert.throws(() => new Path(0, {}), /2 points/);
+});
+
+test("boids are released only after travelling an open path", () => {
+  const simulation = SimulationWrapper.defaultSimulation(
+    { width: 800, height: 600 },
+    11
+  );
+  const path = simulation.addPath({
+    points: [
+      { x: 100, y: 300 },
+      { x: 400, y: 300 },
+      { x: 700, y: 300 },
+    ],
+  });
+  const ended = [];
+  simulation.on("pathEnd", ({ boid }) => ended.push(boid));
+
+  const boid = simulation.flock[0];
+  simulation.flock.forEach((other) => other.moveTo(700, 300));
+  boid.moveTo(100, 300);
+  boid.velocity.set(1, 0);
+  simulation.setGroupPath(simulation.groups[0].id, path.id);
+
+  simulation.update(1);
+  assert.equal(ended.length, 0);
+
+  for (let i = 0; i < 2000 && !ended.includes(boid); i++) {
+    simulation.update(1);
+  }
+  assert.ok(ended.includes(boid));
+  assert.equal(boid.path, undefined);
+});
+
+test("single animals are addressed by id", () => {
+  const simulation = SimulationWrapper.defaultSimulation(
+    { width: 800, height: 600 },
+    12
+  );
+  const path = simulation.addPath({
+    points: [
+      { x: 100, y: 300 },
+      { x: 700, y: 300 },
+    ],
+  });
+  const target = simulation.getBoid(5);
+  simulation.removeBoid(simulation.flock[0]);
+  simulation.setAnimalPath(5, path.id);
+
+  assert.equal(target.path, path);
+  assert.equal(simulation.flock.filter((boid) => boid.path).length, 1);
+});
@@ -0,0 +1,57 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { AnimalType } from "../public/scipts/simulation/animals.js";
+import {
+  BoundaryMode,
+  RippleType,
+  Simulation,
+  SimulationParams,
+} from "../public/scipts/simulation/simulation.js";
+
+function createSimulation() {
+  return new Simulation(
+    1,
+    { width: 600, height: 400, margin: 50 },
+    new SimulationParams(),
+    undefined,
+    [1, 1],
+    AnimalType.FISH,
+    false,
+    undefined,
+    undefined,
+    undefined,
+    1
+  );
+}
+
+test("ripples push across the edges when the world wraps", () => {
+  [RippleType.REPEL, RippleType.ATTRACT].forEach((type) => {
+    const simulation = createSimulation();
+    simulation.setBoundaryMode(BoundaryMode.WRAP);
+    const { left, top, width, height } = simulation.boundaries;
+    const boid = simulation.flock[0];
+    boid.moveTo(left + 10, top + height / 2);
+    boid.velocity.set(0, 0);
+
+    simulation.addPoint(type, { x: left + width - 10, y: top + height / 2 });
+    simulation.update(1);
+    // the ripple is 20 pixels to the left across the edge
+    const direction = type === RippleType.REPEL ? 1 : -1;
+    assert.ok(boid.velocity.x * direction > 0);
+  });
+});
+
+test("the repel preset is reachable with the old ripple properties", () => {
+  const { ripples } = createSimulation();
+  assert.equal(ripples.delay, 600);
+  assert.equal(ripples.divisor, 5);
+
+  ripples.delay = 300;
+  ripples.threshold = 20;
+  ripples.startVars = [0, 10];
+  const preset = ripples.presets[RippleType.REPEL];
+  assert.equal(preset.delay, 18);
+  assert.equal(preset.threshold, 20);
+  assert.deepEqual(preset.startVars, [0, 10]);
+});
@@ -0,0 +1,143 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { AnimalType } from "../public/scipts/simulation/animals.js";
+import {
+  BoundaryMode,
+  Simulation,
+  SimulationParams,
+} from "../public/scipts/simulation/simulation.js";
+
+const bounds = { width: 600, height: 400, margin: 50 };
+
+function createSimulation(seed, amount = 40) {
+  return new Simulation(
+    amount,
+    bounds,
+    new SimulationParams(),
+    undefined,
+    [1, 1.5],
+    AnimalType.FISH,
+    false,
+    undefined,
+    undefined,
+    undefined,
+    seed
+  );
+}
+
+function run(simulation, steps) {
+  for (let i = 0; i < steps; i++) simulation.update(1);
+}
+
+function positions(simulation) {
+  return simulation.boids.map((boid) => [boid.position.x, boid.position.y]);
+}
+
+// the boundaries are applied at the start of a step, so boids may be one step outside
+function isInside(simulation, boid) {
+  const { left, top, width, height } = simulation.boundaries;
+  const slack = boid.maxSpeed(simulation.params);
+  return (
+    boid.position.x >= left - slack &&
+    boid.position.x <= left + width + slack &&
+    boid.position.y >= top - slack &&
+    boid.position.y <= top + height + slack
+  );
+}
+
+test("the same seed gives the same trajectories", () => {
+  const a = createSimulation(42);
+  const b = createSimulation(42);
+  run(a, 200);
+  run(b, 200);
+  assert.deepEqual(positions(a), positions(b));
+
+  const c = createSimulation(43);
+  run(c, 200);
+  assert.notDeepEqual(positions(a), positions(c));
+});
+
+test("wrap moves boids leaving the area to the opposite side", () => {
+  const simulation = createSimulation(1, 1);
+  const boid = simulation.flock[0];
+  const { left, width } = simulation.boundaries;
+  boid.moveTo(left + width - 1, 100);
+  boid.velocity.set(3, 0);
+  run(simulation, 2);
+
+  assert.ok(boid.position.x < left + width / 2);
+  assert.ok(isInside(simulation, boid));
+});
+
+test("bounce reflects boids at the borders", () => {
+  const simulation = createSimulation(1, 1);
+  simulation.setBoundaryMode(BoundaryMode.BOUNCE);
+  const boid = simulation.flock[0];
+  const { left, width } = simulation.boundaries;
+  boid.moveTo(left + width - 1, 100);
+  boid.velocity.set(3, 0);
+  run(simulation, 2);
+
+  assert.ok(boid.velocity.x < 0);
+  assert.ok(isInside(simulation, boid));
+});
+
+test("every boundary mode keeps the flock inside the area", () => {
+  Object.values(BoundaryMode).forEach((mode) => {
+    const simulation = createSimulation(7);
+    simulation.setBoundaryMode(mode);
+    run(simulation, 300);
+    assert.ok(
+      simulation.boids.every((boid) => isInside(simulation, boid)),
+      mode
+    );
+  });
+});
+
+test("a snapshot survives a round trip through JSON", () => {
+  const simulation = createSimulation(5);
+  run(simulation, 50);
+  const snapshot = JSON.parse(JSON.stringify(simulation));
+
+  const restored = Simulation.fromJSON(snapshot);
+  assert.deepEqual(JSON.parse(JSON.stringify(restored)), snapshot);
+  assert.deepEqual(positions(restored), positions(simulation));
+});
+
+test("a restored run continues the saved trajectory", () => {
+  const simulation = createSimulation(6);
+  // wandering draws random numbers every step
+  simulation.params.wanderImpact = 0.2;
+  run(simulation, 50);
+
+  const restored = Simulation.fromJSON(JSON.parse(JSON.stringify(simulation)));
+  run(simulation, 100);
+  run(restored, 100);
+  assert.deepEqual(positions(restored), positions(simulation));
+});
+
+test("the first group keeps sharing the parameters after a restore", () => {
+  const simulation = createSimulation(7, 5);
+  const params = simulation.params;
+  const snapshot = JSON.parse(JSON.stringify(simulation));
+  snapshot.params.alignmentImpact = 2;
+
+  simulation.restore(snapshot);
+  assert.equal(simulation.params, params);
+  assert.equal(simulation.groups[0].params, params);
+  assert.equal(params.alignmentImpact, 2);
+});
+
+test("the settings of the first group are still reachable on the simulation", () => {
+  const simulation = createSimulation(3, 5);
+  assert.equal(simulation.animalType, AnimalType.FISH);
+  assert.deepEqual(simulation.sizesRange, [1, 1.5]);
+  assert.equal(simulation.style, simulation.groups[0].style);
+
+  simulation.animalType = AnimalType.SNAKE;
+  simulation.sizesRange = [2, 2];
+  assert.equal(simulation.groups[0].animalType, AnimalType.SNAKE);
+  simulation.updateBoidAmount(6);
+  assert.equal(simulation.flock[5].animal.scale, 2);
+});